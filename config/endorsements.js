@@ -0,0 +1,8 @@
+// Endorsement ("me too") counts at which a problem's priority is raised.
+// Priority is only ever raised, never lowered.
+const ENDORSEMENT_PRIORITY_THRESHOLDS = [
+  { count: parseInt(process.env.ENDORSEMENTS_FOR_HIGH) || 10, priority: 'High' },
+  { count: parseInt(process.env.ENDORSEMENTS_FOR_CRITICAL) || 25, priority: 'Critical' }
+];
+
+module.exports = { ENDORSEMENT_PRIORITY_THRESHOLDS };
@@ -0,0 +1,54 @@
+// User roles and the permissions each one grants.
+const ROLES = ['user', 'field_worker', 'ward_officer', 'admin', 'super_admin'];
+
+// Roles with access to every ward
+const GLOBAL_ROLES = ['admin', 'super_admin'];
+
+// Roles that act on problems on behalf of the panchayat
+const STAFF_ROLES = ['field_worker', 'ward_officer', 'admin', 'super_admin'];
+
+// Roles that only holders of 'users:manage_roles' may grant or revoke
+const PRIVILEGED_ROLES = ['admin', 'super_admin'];
+
+// Roles that problems can be assigned to
+const ASSIGNABLE_ROLES = ['field_worker', 'ward_officer'];
+
+// Permissions are further scoped per request: ward officers only within
+// their managed wards, field workers only on problems assigned to them.
+const ROLE_PERMISSIONS = {
+  user: [],
+  field_worker: [
+    'problems:update_status'
+  ],
+  ward_officer: [
+    'problems:update_status',
+    'problems:manage',
+    'wards:update',
+    'reports:export'
+  ],
+  admin: [
+    'problems:update_status',
+    'problems:manage',
+    'wards:create',
+    'wards:update',
+    'wards:restructure',
+    'sla:manage',
+    'users:manage',
+    'webhooks:manage',
+    'reports:export'
+  ],
+  super_admin: [
+    'problems:update_status',
+    'problems:manage',
+    'wards:create',
+    'wards:update',
+    'wards:restructure',
+    'sla:manage',
+    'users:manage',
+    'users:manage_roles',
+    'webhooks:manage',
+    'reports:export'
+  ]
+};
+
+module.exports = { ROLES, GLOBAL_ROLES, STAFF_ROLES, PRIVILEGED_ROLES, ASSIGNABLE_ROLES, ROLE_PERMISSIONS };
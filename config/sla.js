@@ -0,0 +1,22 @@
+// Default SLA targets in hours, used when no SlaPolicy matches a problem.
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+const DEFAULT_SLA_HOURS = {
+  Critical: 48,
+  High: 96,
+  Medium: 168,
+  Low: 336
+};
+
+// Category-specific defaults, keyed by category then priority
+const CATEGORY_SLA_HOURS = {
+  'Water Supply': { Critical: 24, High: 48 },
+  'Electricity': { Critical: 24, High: 48 },
+  'Healthcare': { Critical: 12, High: 24 },
+  'Security': { Critical: 12, High: 24 }
+};
+
+// How often the SLA monitor checks for breaches
+const SLA_CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 10;
+
+module.exports = { PRIORITIES, DEFAULT_SLA_HOURS, CATEGORY_SLA_HOURS, SLA_CHECK_INTERVAL_MINUTES };
@@ -0,0 +1,53 @@
+// Problem status workflow. Edit TRANSITIONS to change which moves are allowed.
+const STATUSES = ['Open', 'In Progress', 'Resolved', 'Closed', 'Reopened'];
+
+// Statuses that still need work from the ward
+const ACTIVE_STATUSES = ['Open', 'In Progress', 'Reopened'];
+
+// Allowed transitions: from status -> list of target statuses
+const TRANSITIONS = {
+  'Open': ['In Progress'],
+  'In Progress': ['Resolved'],
+  'Resolved': ['Closed', 'Reopened'],
+  'Reopened': ['In Progress'],
+  'Closed': []
+};
+
+// Transitions that must be given a reason, keyed "from->to"
+const REASON_REQUIRED = ['Resolved->Reopened'];
+
+// How long the reporter has to confirm or dispute a resolution before it auto-closes
+const CONFIRMATION_WINDOW_HOURS = parseInt(process.env.RESOLUTION_CONFIRMATION_HOURS) || 72;
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const requiresReason = (from, to) => REASON_REQUIRED.includes(`${from}->${to}`);
+
+// Returns { status, message } describing why a transition is rejected, or null if it is allowed
+const validateTransition = (from, to, reason) => {
+  if (!canTransition(from, to)) {
+    const allowed = TRANSITIONS[from] || [];
+    return {
+      status: 409,
+      message: `Cannot change status from ${from} to ${to}. Allowed: ${allowed.length ? allowed.join(', ') : 'none'}`
+    };
+  }
+  if (requiresReason(from, to) && !(reason && reason.trim())) {
+    return {
+      status: 400,
+      message: `A reason is required to change status from ${from} to ${to}`
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  REASON_REQUIRED,
+  CONFIRMATION_WINDOW_HOURS,
+  canTransition,
+  requiresReason,
+  validateTransition
+};
@@ -0,0 +1,12 @@
+// Events that webhook subscriptions can listen to
+const WEBHOOK_EVENTS = [
+  'problem.created',
+  'problem.status_changed',
+  'problem.assigned'
+];
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+module.exports = { WEBHOOK_EVENTS, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS, WEBHOOK_TIMEOUT_MS };
@@ -8,7 +8,22 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const problemRoutes = require('./routes/problems');
+const commentRoutes = require('./routes/comments');
 const wardRoutes = require('./routes/wards');
+const userRoutes = require('./routes/users');
+const slaPolicyRoutes = require('./routes/slaPolicies');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+
+// Socket handlers
+const { setupSocket } = require('./socket');
+
+// Background jobs
+const { registerJob, startScheduler } = require('./services/scheduler');
+const autoCloseResolved = require('./jobs/autoCloseResolved');
+const slaMonitor = require('./jobs/slaMonitor');
+const webhookRetry = require('./jobs/webhookRetry');
+const { SLA_CHECK_INTERVAL_MINUTES } = require('./config/sla');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,9 +45,9 @@ app.use(express.urlencoded({ extended: true }));
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swatch_village')
 .then(() => {
   console.log('Connected to MongoDB');
-  
-  // Initialize default data
-  initializeDefaultData();
+
+  // Start background jobs
+  startScheduler({ io });
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -41,8 +56,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swatch_vi
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/problems/:id/comments', commentRoutes);
 app.use('/api/problems', problemRoutes);
 app.use('/api/wards', wardRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/sla-policies', slaPolicyRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -54,29 +74,16 @@ app.get('/api/health', (req, res) => {
 });
 
 // Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join ward-specific room
-  socket.on('join-ward', (wardNumber) => {
-    socket.join(`ward-${wardNumber}`);
-    console.log(`User ${socket.id} joined ward ${wardNumber}`);
-  });
-
-  // Handle problem status updates
-  socket.on('problem-status-update', (data) => {
-    // Broadcast to all users in the ward
-    io.to(`ward-${data.wardNumber}`).emit('problem-updated', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+setupSocket(io);
 
 // Make io available to routes
 app.set('io', io);
 
+// Register background jobs
+registerJob('auto-close-resolved', 15 * 60 * 1000, autoCloseResolved);
+registerJob('sla-monitor', SLA_CHECK_INTERVAL_MINUTES * 60 * 1000, slaMonitor);
+registerJob('webhook-retry', 60 * 1000, webhookRetry);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Error:', error);
@@ -91,58 +98,6 @@ app.use('*', (req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
-// Initialize default data
-async function initializeDefaultData() {
-  const Ward = require('./models/Ward');
-  
-  try {
-    // Create default wards if they don't exist
-    const wardCount = await Ward.countDocuments();
-    if (wardCount === 0) {
-      const defaultWards = [];
-      
-      for (let i = 1; i <= 10; i++) {
-        defaultWards.push({
-          wardNumber: i,
-          name: `Ward ${i}`,
-          description: `Area ${i} of Swatch Village`,
-          population: Math.floor(Math.random() * 1000) + 500,
-          area: `${Math.floor(Math.random() * 5) + 2} sq km`,
-          representative: {
-            name: `Representative ${i}`,
-            contact: `+91${Math.floor(Math.random() * 9000000000) + 1000000000}`
-          }
-        });
-      }
-      
-      await Ward.insertMany(defaultWards);
-      console.log('Default wards created successfully');
-    }
-
-    // Create admin user if it doesn't exist
-    const User = require('./models/User');
-    const adminExists = await User.findOne({ role: 'admin' });
-    
-    if (!adminExists) {
-      const adminUser = new User({
-        name: 'Admin User',
-        email: 'admin@swatchvillage.com',
-        password: 'admin123', // This will be hashed automatically
-        wardNumber: 1,
-        phone: '9999999999',
-        address: 'Administrative Office',
-        role: 'admin'
-      });
-      
-      await adminUser.save();
-      console.log('Admin user created successfully');
-      console.log('Admin credentials: admin@swatchvillage.com / admin123');
-    }
-  } catch (error) {
-    console.error('Error initializing default data:', error);
-  }
-}
-
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
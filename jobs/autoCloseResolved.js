@@ -0,0 +1,49 @@
+const Problem = require('../models/Problem');
+const { CONFIRMATION_WINDOW_HOURS } = require('../config/statusWorkflow');
+const { problemRooms } = require('../socket');
+const { notifyStatusChange } = require('../services/notificationService');
+const { dispatchEvent, problemPayload } = require('../services/webhookService');
+
+// Close resolved problems whose reporter did not respond within the confirmation window.
+// Problems resolved before the window was recorded have no confirmationDueAt and
+// count from resolvedAt instead.
+const autoCloseResolved = async ({ io } = {}) => {
+  const now = new Date();
+  const resolvedBefore = new Date(now.getTime() - CONFIRMATION_WINDOW_HOURS * 60 * 60 * 1000);
+  const problems = await Problem.find({
+    status: 'Resolved',
+    $or: [
+      { confirmationDueAt: { $lte: now } },
+      { confirmationDueAt: null, resolvedAt: { $lte: resolvedBefore } },
+      { confirmationDueAt: null, resolvedAt: null, updatedAt: { $lte: resolvedBefore } }
+    ]
+  });
+
+  for (const problem of problems) {
+    await problem.updateStatus('Closed', null, null, 'Automatically closed after confirmation window');
+    await notifyStatusChange(io, problem, null, 'Resolved');
+    dispatchEvent('problem.status_changed', {
+      problem: problemPayload(problem),
+      from: 'Resolved',
+      to: problem.status,
+      changedBy: null
+    });
+
+    if (io) {
+      io.to(problemRooms(problem)).emit('problem-updated', {
+        problem: {
+          _id: problem._id,
+          title: problem.title,
+          status: problem.status,
+          wardNumber: problem.wardNumber
+        }
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    console.log(`Auto-closed ${problems.length} resolved problem(s)`);
+  }
+};
+
+module.exports = autoCloseResolved;
@@ -0,0 +1,60 @@
+const Problem = require('../models/Problem');
+const ProblemHistory = require('../models/ProblemHistory');
+const { ACTIVE_STATUSES } = require('../config/statusWorkflow');
+const { resolvePolicy, computeDueDate, nextPriority } = require('../services/slaService');
+const { problemRooms, ADMINS_ROOM } = require('../socket');
+
+// Flag active problems past their SLA due date and escalate their priority
+const slaMonitor = async ({ io } = {}) => {
+  const now = new Date();
+  const problems = await Problem.find({
+    status: { $in: ACTIVE_STATUSES },
+    slaBreached: false,
+    estimatedResolutionDate: { $ne: null, $lte: now }
+  });
+
+  for (const problem of problems) {
+    const policy = await resolvePolicy(problem.category, problem.priority);
+    const previousPriority = problem.priority;
+    const breachedDueDate = problem.estimatedResolutionDate;
+
+    problem.slaBreached = true;
+    problem.slaBreachedAt = now;
+
+    const escalatedPriority = policy.escalateOnBreach ? nextPriority(problem.priority) : null;
+    if (escalatedPriority) {
+      problem.priority = escalatedPriority;
+      problem.escalationLevel += 1;
+      // Give the escalated problem a new target under its higher priority
+      problem.estimatedResolutionDate = await computeDueDate(problem.category, escalatedPriority, now);
+    }
+
+    await problem.save();
+
+    await ProblemHistory.create({
+      problem: problem._id,
+      action: 'escalated',
+      fromPriority: previousPriority,
+      toPriority: problem.priority,
+      notes: `SLA breached (due ${breachedDueDate.toISOString()})`
+    });
+
+    if (io) {
+      io.to(problemRooms(problem)).to(ADMINS_ROOM).emit('sla-breached', {
+        problem: {
+          _id: problem._id,
+          title: problem.title,
+          priority: problem.priority,
+          estimatedResolutionDate: problem.estimatedResolutionDate,
+          wardNumber: problem.wardNumber
+        }
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    console.log(`Flagged ${problems.length} SLA breach(es)`);
+  }
+};
+
+module.exports = slaMonitor;
@@ -0,0 +1,26 @@
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { attemptDelivery } = require('../services/webhookService');
+
+const BATCH_SIZE = 50;
+
+// Retry pending webhook deliveries whose backoff has elapsed. Deliveries
+// never attempted (e.g. the server restarted) are picked up after a grace period.
+const webhookRetry = async () => {
+  const now = new Date();
+  const deliveries = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now },
+    $or: [
+      { attempts: { $gt: 0 } },
+      { createdAt: { $lte: new Date(now.getTime() - 5 * 60 * 1000) } }
+    ]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const delivery of deliveries) {
+    await attemptDelivery(delivery);
+  }
+};
+
+module.exports = webhookRetry;
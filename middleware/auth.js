@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../services/tokenService');
 
 const auth = async (req, res, next) => {
   try {
@@ -9,7 +9,7 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -21,6 +21,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -28,17 +29,4 @@ const auth = async (req, res, next) => {
   }
 };
 
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Access denied. Admin role required.' });
-      }
-      next();
-    });
-  } catch (error) {
-    res.status(401).json({ message: 'Authentication failed' });
-  }
-};
-
-module.exports = { auth, adminAuth };
+module.exports = { auth };
@@ -0,0 +1,130 @@
+const { GLOBAL_ROLES, STAFF_ROLES, ROLE_PERMISSIONS } = require('../config/roles');
+
+const hasPermission = (user, permission) => {
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+const isGlobalAdmin = (user) => GLOBAL_ROLES.includes(user.role);
+
+const isStaff = (user) => STAFF_ROLES.includes(user.role);
+
+// Wards a user can manage; null means every ward
+const getManagedWards = (user) => {
+  if (isGlobalAdmin(user)) return null;
+  if (user.role === 'ward_officer') return user.managedWards || [];
+  return [];
+};
+
+// Wards whose problems a user can see; null means every ward
+const getVisibleWards = (user) => {
+  const managed = getManagedWards(user);
+  if (managed === null) return null;
+  return [...new Set([user.wardNumber, ...managed])];
+};
+
+const canViewWard = (user, wardNumber) => {
+  const wards = getVisibleWards(user);
+  return wards === null || wards.includes(wardNumber);
+};
+
+const canManageWard = (user, wardNumber) => {
+  const wards = getManagedWards(user);
+  return wards === null || wards.includes(wardNumber);
+};
+
+const isAssignee = (user, problem) => {
+  const assignee = problem.assignedTo && (problem.assignedTo._id || problem.assignedTo);
+  return Boolean(assignee) && String(assignee) === String(user._id);
+};
+
+const isReporter = (user, problem) => {
+  const reporter = problem.reportedBy && (problem.reportedBy._id || problem.reportedBy);
+  return Boolean(reporter) && String(reporter) === String(user._id);
+};
+
+const isPrivateProblem = (problem) => problem.isPublic === false;
+
+// Reporters and assignees can always see a problem. Otherwise public problems
+// are visible across the ward and private ones to admins only.
+const canViewProblem = (user, problem) => {
+  if (isReporter(user, problem) || isAssignee(user, problem)) return true;
+  if (isPrivateProblem(problem)) return isGlobalAdmin(user);
+  return canViewWard(user, problem.wardNumber);
+};
+
+// Ward officers and admins manage problems in their wards (assign, moderate, internal notes).
+// Private problems are managed by admins only.
+const canManageProblem = (user, problem) => {
+  if (isPrivateProblem(problem) && !isGlobalAdmin(user)) return false;
+  return hasPermission(user, 'problems:manage') && canManageWard(user, problem.wardNumber);
+};
+
+// Field workers may only update problems assigned to them
+const canUpdateProblemStatus = (user, problem) => {
+  if (!hasPermission(user, 'problems:update_status')) return false;
+  if (user.role === 'field_worker') return isAssignee(user, problem);
+  if (isPrivateProblem(problem) && !isGlobalAdmin(user)) return isAssignee(user, problem);
+  return canManageWard(user, problem.wardNumber);
+};
+
+// Anonymous reporters are only identifiable by admins and themselves
+const canSeeReporter = (user, problem) => {
+  return !problem.isAnonymous || isGlobalAdmin(user) || isReporter(user, problem);
+};
+
+// A problem (document or plain object) ready to send to a user, with the
+// reporter removed if the user may not see who reported it
+const redactProblem = (user, problem) => {
+  if (!problem || canSeeReporter(user, problem)) return problem;
+
+  const reporter = problem.reportedBy && (problem.reportedBy._id || problem.reportedBy);
+  const redacted = typeof problem.toJSON === 'function' ? problem.toJSON() : { ...problem };
+  redacted.reportedBy = null;
+  delete redacted.followers; // The reporter follows their own problem
+  if (redacted.images) {
+    // Without a known reporter, hide every uploader rather than risk a leak
+    redacted.images = redacted.images.map((image) => (
+      !reporter || String(image.uploadedBy) === String(reporter) ? { ...image, uploadedBy: null } : image
+    ));
+  }
+  return redacted;
+};
+
+// Mongo filter limiting a problem query to what the user can see
+const problemScopeQuery = (user) => {
+  const wards = getVisibleWards(user);
+  if (wards === null) return {};
+
+  return {
+    $or: [
+      { wardNumber: { $in: wards }, isPublic: { $ne: false } },
+      { assignedTo: user._id },
+      { reportedBy: user._id }
+    ]
+  };
+};
+
+// Middleware: require a role permission. Use after `auth`.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user, permission)) {
+    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+  }
+  next();
+};
+
+module.exports = {
+  hasPermission,
+  isGlobalAdmin,
+  isStaff,
+  getManagedWards,
+  getVisibleWards,
+  canViewWard,
+  canManageWard,
+  canViewProblem,
+  canManageProblem,
+  canUpdateProblemStatus,
+  canSeeReporter,
+  redactProblem,
+  problemScopeQuery,
+  requirePermission
+};
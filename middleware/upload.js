@@ -0,0 +1,36 @@
+const multer = require('multer');
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_IMAGES_PER_REQUEST = 5;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_IMAGES_PER_REQUEST
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Unsupported file type. Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Run multer for the given field and turn upload errors into 400 responses
+const uploadImages = (field = 'images') => (req, res, next) => {
+  imageUpload.array(field, MAX_IMAGES_PER_REQUEST)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+module.exports = { uploadImages, ALLOWED_IMAGE_TYPES, MAX_IMAGE_SIZE, MAX_IMAGES_PER_REQUEST };
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Auto-assignment rule: new problems in a ward and category go to this assignee
+const assignmentRuleSchema = new mongoose.Schema({
+  wardNumber: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 50
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+assignmentRuleSchema.index({ wardNumber: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
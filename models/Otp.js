@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One-time login code sent by SMS. Only a hash of the code is stored.
+const otpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+otpSchema.index({ phone: 1, createdAt: -1 });
+// Keep records for an hour after expiry so issuance rate limits still see them
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('Otp', otpSchema);
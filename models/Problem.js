@@ -1,4 +1,33 @@
 const mongoose = require('mongoose');
+const ProblemHistory = require('./ProblemHistory');
+const { STATUSES, CONFIRMATION_WINDOW_HOURS } = require('../config/statusWorkflow');
+const wardStatsCache = require('../services/wardStatsCache');
+const { computeDueDate } = require('../services/slaService');
+
+const CONFIRMATION_WINDOW_MS = CONFIRMATION_WINDOW_HOURS * 60 * 60 * 1000;
+
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  key: String, // Storage key, used to remove the file
+  thumbnailUrl: String,
+  thumbnailKey: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const problemSchema = new mongoose.Schema({
   title: {
@@ -36,7 +65,7 @@ const problemSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Open', 'In Progress', 'Resolved', 'Closed'],
+    enum: STATUSES,
     default: 'Open'
   },
   reportedBy: {
@@ -55,10 +84,20 @@ const problemSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
-  images: [{
-    type: String, // URLs to uploaded images
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  images: {
+    type: [imageSchema],
     default: []
-  }],
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -73,13 +112,54 @@ const problemSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  confirmationDueAt: {
+    type: Date,
+    default: null // Reporter can confirm or dispute a resolution until then
+  },
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
   estimatedResolutionDate: {
+    type: Date,
+    default: null // SLA due date, set from the matching SLA policy
+  },
+  slaBreached: {
+    type: Boolean,
+    default: false
+  },
+  slaBreachedAt: {
     type: Date,
     default: null
   },
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  endorsedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  endorsementCount: {
+    type: Number,
+    default: 0
+  },
+  followers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem',
+    default: null // Set when this problem was merged as a duplicate
+  },
   isPublic: {
     type: Boolean,
-    default: true
+    default: true // Private problems are only visible to admins, the reporter and the assignee
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false // Hide the reporter from everyone except admins
   }
 }, {
   timestamps: true
@@ -89,22 +169,162 @@ const problemSchema = new mongoose.Schema({
 problemSchema.index({ wardNumber: 1, status: 1 });
 problemSchema.index({ reportedBy: 1 });
 problemSchema.index({ createdAt: -1 });
+problemSchema.index({ status: 1, confirmationDueAt: 1 });
+problemSchema.index({ slaBreached: 1, estimatedResolutionDate: 1 });
+problemSchema.index({ geoLocation: '2dsphere' }, { sparse: true });
+problemSchema.index({ wardNumber: 1, category: 1, createdAt: -1 });
+problemSchema.index({ wardNumber: 1, endorsementCount: -1 });
+problemSchema.index({ assignedTo: 1, status: 1 });
+// Full-text search, weighted towards titles
+problemSchema.index(
+  { title: 'text', description: 'text', location: 'text' },
+  { name: 'problem_text', weights: { title: 10, location: 5, description: 1 } }
+);
+
+// Problems reported before photo uploads stored images as bare URL strings.
+// Convert them on load so old documents still validate and save; the
+// `problem-images` migration rewrites them in the database.
+problemSchema.pre('init', function(raw) {
+  if (Array.isArray(raw.images)) {
+    raw.images = raw.images.map((image) => (
+      typeof image === 'string' ? { _id: new mongoose.Types.ObjectId(), url: image } : image
+    ));
+  }
+});
+
+// Ward listing counts change when a problem is created, changes status,
+// ward or visibility, or is merged away
+problemSchema.pre('save', function(next) {
+  this.$locals.affectsWardStats = this.isNew ||
+    this.isModified('status') ||
+    this.isModified('wardNumber') ||
+    this.isModified('isPublic') ||
+    this.isModified('mergedInto');
+  next();
+});
+
+problemSchema.post('save', function() {
+  if (this.$locals.affectsWardStats) {
+    wardStatsCache.invalidate();
+  }
+});
 
 // Virtual for days since reported
 problemSchema.virtual('daysSinceReported').get(function() {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
 });
 
-// Method to update status
-problemSchema.methods.updateStatus = function(newStatus, adminNotes = null) {
+// When the reporter's window to confirm or dispute a resolution ends. Problems
+// resolved before the window was recorded count from their resolution time.
+problemSchema.methods.confirmationDeadline = function() {
+  if (this.confirmationDueAt) return this.confirmationDueAt;
+  return new Date(new Date(this.resolvedAt || this.updatedAt).getTime() + CONFIRMATION_WINDOW_MS);
+};
+
+// Method to update status, recording the transition in the history.
+// Callers are responsible for checking the transition against the workflow.
+problemSchema.methods.updateStatus = async function(newStatus, adminNotes = null, changedBy = null, reason = null) {
+  const previousStatus = this.status;
   this.status = newStatus;
   if (adminNotes) {
     this.adminNotes = adminNotes;
   }
-  if (newStatus === 'Resolved' || newStatus === 'Closed') {
+  if (newStatus === 'Resolved') {
     this.resolvedAt = new Date();
+    this.confirmationDueAt = new Date(Date.now() + CONFIRMATION_WINDOW_MS);
+  } else {
+    this.confirmationDueAt = null;
+  }
+  if (newStatus === 'Closed' && !this.resolvedAt) {
+    this.resolvedAt = new Date();
+  }
+  if (newStatus === 'Reopened') {
+    // A reopened problem gets a fresh SLA from now
+    this.resolvedAt = null;
+    this.reopenCount += 1;
+    this.estimatedResolutionDate = await computeDueDate(this.category, this.priority);
+    this.slaBreached = false;
+    this.slaBreachedAt = null;
   }
-  return this.save();
+  await this.save();
+
+  await ProblemHistory.create({
+    problem: this._id,
+    action: 'status_changed',
+    fromStatus: previousStatus,
+    toStatus: newStatus,
+    changedBy,
+    notes: reason || adminNotes
+  });
+  return this;
+};
+
+// Method to change the assignee, recording the change in the history
+problemSchema.methods.assignTo = async function(userId, changedBy = null, notes = null) {
+  const previousAssignee = this.assignedTo;
+  if (String(previousAssignee) === String(userId)) {
+    return this;
+  }
+
+  this.assignedTo = userId || null;
+  await this.save();
+
+  await ProblemHistory.create({
+    problem: this._id,
+    action: userId ? 'assigned' : 'unassigned',
+    fromAssignee: previousAssignee,
+    toAssignee: userId || null,
+    changedBy,
+    notes
+  });
+  return this;
+};
+
+// Method to raise priority (never lowers it), recording the change in the history
+problemSchema.methods.raisePriority = async function(newPriority, changedBy = null, notes = null) {
+  const levels = ['Low', 'Medium', 'High', 'Critical'];
+  const previousPriority = this.priority;
+  if (levels.indexOf(newPriority) <= levels.indexOf(previousPriority)) {
+    return this;
+  }
+
+  this.priority = newPriority;
+  // A higher priority never pushes a deadline that is still running later
+  const dueDate = await computeDueDate(this.category, newPriority);
+  if (this.slaBreached || !this.estimatedResolutionDate || dueDate < this.estimatedResolutionDate) {
+    this.estimatedResolutionDate = dueDate;
+  }
+  await this.save();
+
+  await ProblemHistory.create({
+    problem: this._id,
+    action: 'escalated',
+    fromPriority: previousPriority,
+    toPriority: newPriority,
+    changedBy,
+    notes
+  });
+  return this;
+};
+
+// Method to close this problem as a duplicate of another
+problemSchema.methods.mergeInto = async function(canonical, changedBy = null, session = null) {
+  const previousStatus = this.status;
+  this.mergedInto = canonical._id;
+  this.status = 'Closed';
+  this.confirmationDueAt = null;
+  await this.save({ session });
+
+  await ProblemHistory.create([{
+    problem: this._id,
+    action: 'merged',
+    fromStatus: previousStatus,
+    toStatus: this.status,
+    relatedProblem: canonical._id,
+    changedBy,
+    notes: `Merged into ${canonical._id}`
+  }], { session });
+  return this;
 };
 
 module.exports = mongoose.model('Problem', problemSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Audit trail entry for a problem. One document per change, never updated.
+const problemHistorySchema = new mongoose.Schema({
+  problem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['created', 'status_changed', 'assigned', 'unassigned', 'escalated', 'merged']
+  },
+  fromStatus: {
+    type: String,
+    default: null
+  },
+  toStatus: {
+    type: String,
+    default: null
+  },
+  fromAssignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  toAssignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  fromPriority: {
+    type: String,
+    default: null
+  },
+  toPriority: {
+    type: String,
+    default: null
+  },
+  relatedProblem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem',
+    default: null // The other side of a merge
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for system changes
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+problemHistorySchema.index({ problem: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ProblemHistory', problemHistorySchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Resolution target for problems of a category and priority
+const slaPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true
+  },
+  priority: {
+    type: String,
+    required: true,
+    enum: ['Low', 'Medium', 'High', 'Critical']
+  },
+  resolutionHours: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  escalateOnBreach: {
+    type: Boolean,
+    default: true // Bump priority one level when the SLA is breached
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+slaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
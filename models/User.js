@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
+const { normalizePhone, phoneVariants } = require('../utils/phone');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -9,14 +11,16 @@ const userSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true, // Residents who sign up by phone may have no email
     lowercase: true,
     trim: true
   },
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.phoneVerified; // Phone OTP accounts can have no password
+    },
     minlength: 6
   },
   wardNumber: {
@@ -28,8 +32,13 @@ const userSchema = new mongoose.Schema({
   phone: {
     type: String,
     required: true,
+    unique: true,
     trim: true
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
   address: {
     type: String,
     required: true,
@@ -37,9 +46,26 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
+  managedWards: [{
+    type: Number, // Wards a ward officer is responsible for
+    min: 1,
+    max: 50
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -48,9 +74,17 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Store phone numbers in a single format so OTP login can find them
+userSchema.pre('save', function(next) {
+  if (this.isModified('phone')) {
+    this.phone = normalizePhone(this.phone) || this.phone;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(10);
@@ -61,8 +95,16 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Find a user by phone, matching numbers stored before normalization too
+userSchema.statics.findByPhone = function(phone, filter = {}) {
+  const variants = phoneVariants(phone);
+  if (variants.length === 0) return this.findOne({ _id: null });
+  return this.findOne({ ...filter, phone: { $in: variants } });
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use, expiring token sent to a user (password reset, email verification).
+// Only the SHA-256 hash of the token is stored.
+const verificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['password_reset', 'email_verification']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+verificationTokenSchema.index({ user: 1, purpose: 1 });
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VerificationToken', verificationTokenSchema);
@@ -36,29 +36,36 @@ const wardSchema = new mongoose.Schema({
       trim: true
     }
   },
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon']
+    },
+    coordinates: {
+      type: Array, // GeoJSON rings of [longitude, latitude]
+      default: undefined
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  mergedInto: {
+    type: Number,
+    default: null // Ward number this ward was merged into
   }
 }, {
   timestamps: true
 });
 
-// Virtual for active problems count
-wardSchema.virtual('activeProblemsCount', {
-  ref: 'Problem',
-  localField: 'wardNumber',
-  foreignField: 'wardNumber',
-  count: true,
-  match: { status: { $in: ['Open', 'In Progress'] } }
-});
+wardSchema.index({ boundary: '2dsphere' }, { sparse: true });
 
-// Virtual for total problems count
-wardSchema.virtual('totalProblemsCount', {
-  ref: 'Problem',
-  localField: 'wardNumber',
-  foreignField: 'wardNumber',
-  count: true
-});
+// Find the active ward whose boundary contains a point
+wardSchema.statics.findByPoint = function(point) {
+  return this.findOne({
+    isActive: true,
+    boundary: { $geoIntersects: { $geometry: point } }
+  });
+};
 
 module.exports = mongoose.model('Ward', wardSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Audit trail entry for a ward lifecycle change. Never updated.
+const wardHistorySchema = new mongoose.Schema({
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['deactivated', 'activated', 'merged', 'renumbered']
+  },
+  wardNumber: {
+    type: Number,
+    required: true // Ward number at the time of the change
+  },
+  relatedWard: {
+    type: Number,
+    default: null // Transfer or merge target, or the new number after renumbering
+  },
+  migrated: {
+    problems: { type: Number, default: 0 },
+    users: { type: Number, default: 0 },
+    officers: { type: Number, default: 0 },
+    assignmentRules: { type: Number, default: 0 }
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+wardHistorySchema.index({ wardNumber: 1, createdAt: -1 });
+wardHistorySchema.index({ relatedWard: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WardHistory', wardHistorySchema);
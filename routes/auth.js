@@ -1,16 +1,16 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
+const { issueTokens, rotateRefreshToken, revokeAllSessions } = require('../services/tokenService');
+const { consumeToken, sendPasswordResetEmail, sendVerificationEmail } = require('../services/verificationService');
+const { issueOtp, checkOtp, consumeOtp } = require('../services/otpService');
+const { disconnectUserSockets } = require('../socket');
+const { normalizePhone } = require('../utils/phone');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
-
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -36,6 +36,11 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
+    const existingPhone = await User.findByPhone(phone);
+    if (existingPhone) {
+      return res.status(400).json({ message: 'User already exists with this phone number' });
+    }
+
     // Create new user
     const user = new User({
       name,
@@ -49,12 +54,21 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send the verification email; registration succeeds even if mail fails
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session and issue tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
@@ -100,12 +114,14 @@ router.post('/login', [
       return res.status(400).json({ message: 'Account is deactivated' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and issue tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
@@ -132,8 +148,11 @@ router.get('/me', auth, async (req, res) => {
         email: req.user.email,
         wardNumber: req.user.wardNumber,
         phone: req.user.phone,
+        phoneVerified: req.user.phoneVerified,
         address: req.user.address,
-        role: req.user.role
+        role: req.user.role,
+        emailVerified: req.user.emailVerified,
+        managedWards: req.user.managedWards
       }
     });
   } catch (error) {
@@ -142,4 +161,389 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/otp/request
+// @desc    Send a one-time login code to a phone number
+// @access  Public
+router.post('/otp/request', [
+  body('phone').custom((value) => normalizePhone(value) !== null).withMessage('Please provide a valid phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+
+    const { expiresAt, error } = await issueOtp(phone);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({ message: 'Code sent', expiresAt });
+  } catch (error) {
+    console.error('Request OTP error:', error);
+    res.status(500).json({ message: 'Server error while sending code' });
+  }
+});
+
+// @route   POST /api/auth/otp/verify
+// @desc    Log in with a phone code, registering the resident if details are given
+// @access  Public
+router.post('/otp/verify', [
+  body('phone').custom((value) => normalizePhone(value) !== null).withMessage('Please provide a valid phone number'),
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Code must be 6 digits'),
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('wardNumber').optional().isInt({ min: 1, max: 50 }).withMessage('Ward number must be between 1 and 50'),
+  body('address').optional().trim().isLength({ min: 5 }).withMessage('Address must be at least 5 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+    const { name, wardNumber, address } = req.body;
+
+    const { otp, error } = await checkOtp(phone, req.body.code);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    let user = await User.findByPhone(phone);
+    const isNewUser = !user;
+
+    // Unknown number: keep the code valid so the client can resend it with registration details
+    if (isNewUser && !(name && wardNumber && address)) {
+      return res.status(400).json({
+        message: 'No account for this phone number. Provide name, wardNumber and address to register.',
+        registrationRequired: true
+      });
+    }
+
+    if (user && !user.isActive) {
+      return res.status(400).json({ message: 'Account is deactivated' });
+    }
+
+    if (!(await consumeOtp(otp))) {
+      return res.status(400).json({ message: 'Code is invalid or has expired' });
+    }
+
+    if (isNewUser) {
+      user = new User({
+        name,
+        phone,
+        phoneVerified: true,
+        wardNumber,
+        address,
+        role: 'user'
+      });
+    } else {
+      user.phoneVerified = true;
+      user.phone = phone; // Accounts from before normalization may hold another form
+    }
+    await user.save();
+
+    // Start a session and issue tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      message: isNewUser ? 'User registered successfully' : 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        wardNumber: user.wardNumber,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ message: 'Server error while verifying code' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { tokens, session, error } = await rotateRefreshToken(req.body.refreshToken);
+    if (error) {
+      return res.status(401).json({ message: error });
+    }
+
+    const user = await User.findById(session.user).select('isActive');
+    if (!user || !user.isActive) {
+      await session.revoke();
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    await disconnectUserSockets(req.app.get('io'), req.user._id, { sessionId: req.sessionId });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out all devices
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+    await disconnectUserSockets(req.app.get('io'), req.user._id);
+
+    res.json({
+      message: 'Logged out of all devices',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions for the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    await disconnectUserSockets(req.app.get('io'), req.user._id, { sessionId: req.params.id });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.isActive) {
+      // A mail failure must not change the response, or it would reveal the account exists
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    // Same response whether or not the account exists
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const resetToken = await consumeToken(req.body.token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllSessions(user._id);
+    await disconnectUserSockets(req.app.get('io'), user._id);
+
+    res.json({ message: 'Password reset successfully. Please log in again.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change password for the logged-in user
+// @access  Private
+router.put('/change-password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Keep this device signed in, end every other session
+    await Session.updateMany(
+      { user: user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    await disconnectUserSockets(req.app.get('io'), user._id, { exceptSessionId: req.sessionId });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const verificationToken = await consumeToken(req.body.token, 'email_verification');
+    if (!verificationToken) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    await User.updateOne(
+      { _id: verificationToken.user },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error while verifying email' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (!req.user.email) {
+      return res.status(400).json({ message: 'No email address on this account' });
+    }
+
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
 module.exports = router;
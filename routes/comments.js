@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Problem = require('../models/Problem');
+const { auth } = require('../middleware/auth');
+const { canViewProblem, canManageProblem, canSeeReporter } = require('../middleware/permissions');
+const { problemRooms } = require('../socket');
+const { notifyComment } = require('../services/notificationService');
+
+// Mounted at /api/problems/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Load the parent problem and check the user can access it
+const loadProblem = async (req, res, next) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canViewProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.problem = problem;
+    next();
+  } catch (error) {
+    console.error('Load problem error:', error);
+    res.status(500).json({ message: 'Server error while fetching problem' });
+  }
+};
+
+// Hide the author of comments written by an anonymous reporter.
+// `user` is the reader, or null for broadcasts to the whole room.
+const presentComment = (user, problem, comment) => {
+  const author = comment.author && (comment.author._id || comment.author);
+  const byReporter = Boolean(author) && problem.reportedBy.equals(author);
+  if (!byReporter || !problem.isAnonymous || (user && canSeeReporter(user, problem))) {
+    return comment;
+  }
+  return { ...comment.toJSON(), author: null };
+};
+
+// @route   GET /api/problems/:id/comments
+// @desc    Get comments for a problem
+// @access  Private (same ward or staff)
+router.get('/', auth, loadProblem, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, includeDeleted } = req.query;
+    const isManager = canManageProblem(req.user, req.problem);
+
+    let query = { problem: req.problem._id };
+
+    // Internal notes and deleted comments are only visible to ward managers
+    if (!isManager) {
+      query.isInternal = false;
+    }
+
+    if (!isManager || includeDeleted !== 'true') {
+      query.isDeleted = false;
+    }
+
+    const comments = await Comment.find(query)
+      .populate('author', 'name role')
+      .sort({ createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Comment.countDocuments(query);
+
+    res.json({
+      comments: comments.map((comment) => presentComment(req.user, req.problem, comment)),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error while fetching comments' });
+  }
+});
+
+// @route   POST /api/problems/:id/comments
+// @desc    Add a comment to a problem
+// @access  Private (same ward or staff)
+router.post('/', auth, loadProblem, [
+  body('body').trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be between 1 and 1000 characters'),
+  body('isInternal').optional().isBoolean().withMessage('isInternal must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isInternal = req.body.isInternal === true || req.body.isInternal === 'true';
+    if (isInternal && !canManageProblem(req.user, req.problem)) {
+      return res.status(403).json({ message: 'Only ward managers can add internal notes' });
+    }
+
+    const comment = new Comment({
+      problem: req.problem._id,
+      author: req.user._id,
+      body: req.body.body,
+      isInternal
+    });
+
+    await comment.save();
+    await comment.populate('author', 'name role');
+
+    // Internal notes are not broadcast to ward residents
+    const io = req.app.get('io');
+    if (io && !comment.isInternal) {
+      io.to(problemRooms(req.problem)).emit('new-comment', {
+        comment: presentComment(null, req.problem, comment),
+        problemId: req.problem._id,
+        wardNumber: req.problem.wardNumber
+      });
+    }
+
+    if (!comment.isInternal) {
+      await notifyComment(io, req.problem, comment);
+    }
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ message: 'Server error while adding comment' });
+  }
+});
+
+// @route   PUT /api/problems/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (Author)
+router.put('/:commentId', auth, loadProblem, [
+  body('body').trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      problem: req.problem._id,
+      isDeleted: false
+    });
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', 'name role');
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ message: 'Server error while updating comment' });
+  }
+});
+
+// @route   DELETE /api/problems/:id/comments/:commentId
+// @desc    Soft delete a comment
+// @access  Private (Author or ward manager)
+router.delete('/:commentId', auth, loadProblem, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      problem: req.problem._id,
+      isDeleted: false
+    });
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!comment.author.equals(req.user._id) && !canManageProblem(req.user, req.problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await comment.softDelete(req.user._id);
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error while deleting comment' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,64 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Problem = require('../models/Problem');
 const User = require('../models/User');
-const { auth, adminAuth } = require('../middleware/auth');
+const ProblemHistory = require('../models/ProblemHistory');
+const Ward = require('../models/Ward');
+const { auth } = require('../middleware/auth');
+const {
+  canViewProblem,
+  canViewWard,
+  canManageProblem,
+  canUpdateProblemStatus,
+  canSeeReporter,
+  redactProblem,
+  problemScopeQuery,
+  requirePermission
+} = require('../middleware/permissions');
+const { uploadImages } = require('../middleware/upload');
+const { storeProblemImage, readProblemImage, removeProblemImage } = require('../services/imageService');
+const { findAssignee, autoAssign } = require('../services/assignmentService');
+const { computeDueDate } = require('../services/slaService');
+const { toPoint, isValidLatLng } = require('../utils/geo');
+const { findLikelyDuplicates } = require('../services/duplicateService');
+const { STATUSES, ACTIVE_STATUSES, TRANSITIONS, validateTransition } = require('../config/statusWorkflow');
+const { ENDORSEMENT_PRIORITY_THRESHOLDS } = require('../config/endorsements');
+const { problemRooms } = require('../socket');
+const { notifyStatusChange, notifyAssignment } = require('../services/notificationService');
+const { dispatchEvent, problemPayload } = require('../services/webhookService');
+const { streamProblemsCsv } = require('../services/exportService');
+const { parseDateRange } = require('../utils/dateRange');
+const { buildProblemFilters, listProblems } = require('../services/problemQuery');
+const { inTransaction } = require('../utils/transaction');
+const {
+  INTERVALS,
+  GROUP_FIELDS,
+  resolveWindow,
+  openedResolvedTrend,
+  resolutionTimes
+} = require('../services/analyticsService');
 
 const router = express.Router();
 
+const MAX_IMAGES_PER_PROBLEM = 10;
+const DEFAULT_NEAR_RADIUS = 500; // meters
+const MAX_NEAR_RADIUS = 10000;
+const MAX_GEOJSON_FEATURES = 5000;
+
+// Broadcast a status change to the problem's ward room (admins only for private problems)
+const emitProblemUpdated = (req, problem) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(problemRooms(problem)).emit('problem-updated', {
+      problem: {
+        _id: problem._id,
+        title: problem.title,
+        status: problem.status,
+        wardNumber: problem.wardNumber
+      }
+    });
+  }
+};
+
 // @route   POST /api/problems
 // @desc    Report a new problem
 // @access  Private
@@ -17,7 +71,13 @@ router.post('/', auth, [
     'Healthcare', 'Education', 'Security', 'Environment', 'Infrastructure', 'Other'
   ]).withMessage('Invalid category'),
   body('location').trim().isLength({ min: 5 }).withMessage('Location must be at least 5 characters'),
-  body('priority').optional().isIn(['Low', 'Medium', 'High', 'Critical']).withMessage('Invalid priority')
+  body('priority').optional().isIn(['Low', 'Medium', 'High', 'Critical']).withMessage('Invalid priority'),
+  body('images').optional().isArray({ max: MAX_IMAGES_PER_PROBLEM }).withMessage(`Images must be an array of at most ${MAX_IMAGES_PER_PROBLEM} URLs`),
+  body('images.*').optional().isURL().withMessage('Image must be a valid URL'),
+  body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('isPublic').optional().isBoolean().toBoolean().withMessage('isPublic must be a boolean'),
+  body('isAnonymous').optional().isBoolean().toBoolean().withMessage('isAnonymous must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,26 +85,72 @@ router.post('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, category, location, priority, images } = req.body;
+    const { title, description, category, location, priority, images, lat, lng, isPublic, isAnonymous } = req.body;
+
+    if ((lat === undefined) !== (lng === undefined)) {
+      return res.status(400).json({ message: 'Both lat and lng are required for a map location' });
+    }
+
+    // Staff reporting on behalf of another ward get the ward whose boundary contains the point
+    let wardNumber = req.user.wardNumber;
+    const geoLocation = lat !== undefined ? toPoint(lat, lng) : undefined;
+    if (geoLocation) {
+      const ward = await Ward.findByPoint(geoLocation);
+      if (ward && canViewWard(req.user, ward.wardNumber)) {
+        wardNumber = ward.wardNumber;
+      }
+    }
 
     const problem = new Problem({
       title,
       description,
       category,
       location,
+      geoLocation,
       priority: priority || 'Medium',
+      estimatedResolutionDate: await computeDueDate(category, priority || 'Medium'),
       reportedBy: req.user._id,
-      wardNumber: req.user.wardNumber,
-      images: images || []
+      wardNumber,
+      images: (images || []).map((url) => ({ url, uploadedBy: req.user._id })),
+      isPublic: isPublic !== false,
+      isAnonymous: isAnonymous === true
     });
 
     await problem.save();
+    await ProblemHistory.create({
+      problem: problem._id,
+      action: 'created',
+      toStatus: problem.status,
+      changedBy: req.user._id
+    });
+
+    // Apply the ward's auto-assignment rule, if any
+    const autoAssignee = await autoAssign(problem);
+    if (autoAssignee) {
+      await notifyAssignment(req.app.get('io'), problem, autoAssignee._id, null);
+    }
+
+    dispatchEvent('problem.created', { problem: problemPayload(problem) });
+    if (autoAssignee) {
+      dispatchEvent('problem.assigned', { problem: problemPayload(problem), assignee: autoAssignee._id, assignedBy: null });
+    }
+
     await problem.populate('reportedBy', 'name email');
 
+    const possibleDuplicates = await findLikelyDuplicates({
+      wardNumber: problem.wardNumber,
+      category: problem.category,
+      title: problem.title,
+      description: problem.description,
+      geoLocation: problem.geoLocation,
+      excludeId: problem._id,
+      scope: problemScopeQuery(req.user)
+    });
+
     // Emit real-time notification for new problem
     const io = req.app.get('io');
     if (io) {
-      io.to(`ward-${problem.wardNumber}`).emit('new-problem', {
+      io.to(problemRooms(problem)).emit('new-problem', {
         problem: {
           _id: problem._id,
           title: problem.title,
@@ -56,7 +162,8 @@ router.post('/', auth, [
 
     res.status(201).json({
       message: 'Problem reported successfully',
-      problem
+      problem,
+      possibleDuplicates
     });
   } catch (error) {
     console.error('Report problem error:', error);
@@ -69,43 +176,173 @@ router.post('/', auth, [
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { status, category, wardNumber, page = 1, limit = 10 } = req.query;
-    
-    let query = {};
-    
-    // If user is not admin, only show problems from their ward
-    if (req.user.role !== 'admin') {
-      query.wardNumber = req.user.wardNumber;
-    } else if (wardNumber) {
-      query.wardNumber = parseInt(wardNumber);
-    }
-    
+    // Only show problems from wards the user can see
+    const { body, error } = await listProblems(problemScopeQuery(req.user), req.query, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(body);
+  } catch (error) {
+    console.error('Get problems error:', error);
+    res.status(500).json({ message: 'Server error while fetching problems' });
+  }
+});
+
+// @route   GET /api/problems/export.csv
+// @desc    Stream problems as CSV, using the same filters as GET /api/problems
+// @access  Private (Ward officer or Admin)
+router.get('/export.csv', auth, requirePermission('reports:export'), async (req, res) => {
+  try {
+    const { filters, error } = buildProblemFilters(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const query = { $and: [problemScopeQuery(req.user), filters] };
+    const filename = `problems-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    await streamProblemsCsv(res, query, filename, req.user);
+  } catch (error) {
+    console.error('Export problems error:', error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error while exporting problems' });
+  }
+});
+
+// @route   GET /api/problems/near
+// @desc    Get problems within a radius (meters) of a point, nearest first
+// @access  Private
+router.get('/near', auth, async (req, res) => {
+  try {
+    const { lat, lng, status, category } = req.query;
+
+    if (!isValidLatLng(lat, lng)) {
+      return res.status(400).json({ message: 'Valid lat and lng query parameters are required' });
+    }
+
+    const radius = Math.min(parseInt(req.query.radius) || DEFAULT_NEAR_RADIUS, MAX_NEAR_RADIUS);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let query = problemScopeQuery(req.user);
+
+    if (status) {
+      query = { $and: [query, { status }] };
+    }
+
+    if (category) {
+      query = { $and: [query, { category }] };
+    }
+
+    const results = await Problem.aggregate([
+      {
+        $geoNear: {
+          near: toPoint(lat, lng),
+          distanceField: 'distance',
+          maxDistance: radius,
+          spherical: true,
+          query
+        }
+      },
+      { $limit: limit }
+    ]);
+
+    const problems = await Problem.populate(results, [
+      { path: 'reportedBy', select: 'name email' },
+      { path: 'assignedTo', select: 'name email' }
+    ]);
+
+    res.json({ problems: problems.map((problem) => redactProblem(req.user, problem)), radius });
+  } catch (error) {
+    console.error('Get nearby problems error:', error);
+    res.status(500).json({ message: 'Server error while fetching nearby problems' });
+  }
+});
+
+// @route   GET /api/problems/geojson
+// @desc    Export located problems as a GeoJSON FeatureCollection for map layers
+// @access  Private
+router.get('/geojson', auth, async (req, res) => {
+  try {
+    const { status, category, wardNumber } = req.query;
+
+    let query = { $and: [problemScopeQuery(req.user), { 'geoLocation.coordinates': { $exists: true } }] };
+
+    if (wardNumber) {
+      query.$and.push({ wardNumber: parseInt(wardNumber) });
+    }
+
     if (status) {
-      query.status = status;
+      query.$and.push({ status });
     }
-    
+
     if (category) {
-      query.category = category;
+      query.$and.push({ category });
     }
 
     const problems = await Problem.find(query)
-      .populate('reportedBy', 'name email')
-      .populate('assignedTo', 'name email')
+      .select('title category status priority wardNumber location geoLocation createdAt')
       .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Problem.countDocuments(query);
+      .limit(MAX_GEOJSON_FEATURES)
+      .lean();
 
     res.json({
-      problems,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      total
+      type: 'FeatureCollection',
+      features: problems.map((problem) => ({
+        type: 'Feature',
+        geometry: problem.geoLocation,
+        properties: {
+          id: problem._id,
+          title: problem.title,
+          category: problem.category,
+          status: problem.status,
+          priority: problem.priority,
+          wardNumber: problem.wardNumber,
+          location: problem.location,
+          createdAt: problem.createdAt
+        }
+      }))
     });
   } catch (error) {
-    console.error('Get problems error:', error);
-    res.status(500).json({ message: 'Server error while fetching problems' });
+    console.error('Export GeoJSON error:', error);
+    res.status(500).json({ message: 'Server error while exporting problems' });
+  }
+});
+
+// @route   POST /api/problems/check-duplicates
+// @desc    Suggest likely duplicates before reporting a problem
+// @access  Private
+router.post('/check-duplicates', auth, [
+  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  body('category').isIn(Problem.schema.path('category').enumValues).withMessage('Invalid category'),
+  body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description = '', category, lat, lng } = req.body;
+
+    const possibleDuplicates = await findLikelyDuplicates({
+      wardNumber: req.user.wardNumber,
+      category,
+      title,
+      description,
+      geoLocation: lat !== undefined && lng !== undefined ? toPoint(lat, lng) : null,
+      scope: problemScopeQuery(req.user)
+    });
+
+    res.json({ possibleDuplicates });
+  } catch (error) {
+    console.error('Check duplicates error:', error);
+    res.status(500).json({ message: 'Server error while checking duplicates' });
   }
 });
 
@@ -114,32 +351,85 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const problem = await Problem.findById(req.params.id)
+    let problem = await Problem.findById(req.params.id)
       .populate('reportedBy', 'name email')
       .populate('assignedTo', 'name email');
 
+    // Lookups of merged duplicates resolve to the canonical problem
+    let redirectedFrom = null;
+    if (problem && problem.mergedInto) {
+      redirectedFrom = problem._id;
+      problem = await Problem.findById(problem.mergedInto)
+        .populate('reportedBy', 'name email')
+        .populate('assignedTo', 'name email');
+    }
+
     if (!problem) {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
     // Check if user can access this problem
-    if (req.user.role !== 'admin' && problem.wardNumber !== req.user.wardNumber) {
+    if (!canViewProblem(req.user, problem)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json({ problem });
+    const visibleProblem = redactProblem(req.user, problem);
+    res.json(redirectedFrom ? { problem: visibleProblem, redirectedFrom } : { problem: visibleProblem });
   } catch (error) {
     console.error('Get problem error:', error);
     res.status(500).json({ message: 'Server error while fetching problem' });
   }
 });
 
+// @route   GET /api/problems/:id/history
+// @desc    Get the status and assignment history of a problem
+// @access  Private
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id)
+      .select('wardNumber assignedTo reportedBy isPublic isAnonymous status createdAt');
+
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    // Check if user can access this problem
+    if (!canViewProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const history = await ProblemHistory.find({ problem: problem._id })
+      .populate('changedBy', 'name role')
+      .populate('fromAssignee', 'name')
+      .populate('toAssignee', 'name')
+      .sort({ createdAt: 1 });
+
+    // Entries made by an anonymous reporter don't name them
+    const hideReporter = !canSeeReporter(req.user, problem);
+    const visibleHistory = hideReporter
+      ? history.map((entry) => {
+        const json = entry.toJSON();
+        if (json.changedBy && problem.reportedBy.equals(json.changedBy._id)) {
+          json.changedBy = null;
+        }
+        return json;
+      })
+      : history;
+
+    res.json({ problemId: problem._id, history: visibleHistory });
+  } catch (error) {
+    console.error('Get problem history error:', error);
+    res.status(500).json({ message: 'Server error while fetching problem history' });
+  }
+});
+
 // @route   PUT /api/problems/:id/status
-// @desc    Update problem status (Admin only)
-// @access  Private (Admin)
-router.put('/:id/status', adminAuth, [
-  body('status').isIn(['Open', 'In Progress', 'Resolved', 'Closed']).withMessage('Invalid status'),
-  body('adminNotes').optional().isLength({ max: 500 }).withMessage('Admin notes must be less than 500 characters')
+// @desc    Update problem status
+// @access  Private (Ward officer, assigned field worker or Admin)
+router.put('/:id/status', auth, requirePermission('problems:update_status'), [
+  body('status').isIn(STATUSES).withMessage('Invalid status'),
+  body('adminNotes').optional().isLength({ max: 500 }).withMessage('Admin notes must be less than 500 characters'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -147,41 +437,71 @@ router.put('/:id/status', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { status, adminNotes, assignedTo } = req.body;
+    const { status, adminNotes, assignedTo, reason } = req.body;
 
     const problem = await Problem.findById(req.params.id);
     if (!problem) {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
+    if (!canUpdateProblemStatus(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Only ward managers can reassign problems
+    let assignee = null;
+    if (assignedTo) {
+      if (!canManageProblem(req.user, problem)) {
+        return res.status(403).json({ message: 'Access denied. Cannot assign problems.' });
+      }
+
+      const result = await findAssignee(assignedTo, problem);
+      if (result.error) {
+        return res.status(result.error.status).json({ message: result.error.message });
+      }
+      assignee = result.assignee;
+    }
+
+    // Enforce the status workflow
+    const transitionError = validateTransition(problem.status, status, reason);
+    if (transitionError) {
+      return res.status(transitionError.status).json({
+        message: transitionError.message,
+        currentStatus: problem.status,
+        allowedTransitions: TRANSITIONS[problem.status] || []
+      });
+    }
+
     // Update problem status
-    await problem.updateStatus(status, adminNotes);
+    const previousStatus = problem.status;
+    await problem.updateStatus(status, adminNotes, req.user._id, reason);
+    await notifyStatusChange(req.app.get('io'), problem, req.user._id, previousStatus);
+    dispatchEvent('problem.status_changed', {
+      problem: problemPayload(problem),
+      from: previousStatus,
+      to: problem.status,
+      changedBy: req.user._id
+    });
 
     // Assign problem if provided
-    if (assignedTo) {
-      problem.assignedTo = assignedTo;
-      await problem.save();
+    if (assignee) {
+      const previousAssignee = problem.assignedTo;
+      await problem.assignTo(assignee._id, req.user._id);
+      if (String(previousAssignee) !== String(assignee._id)) {
+        await notifyAssignment(req.app.get('io'), problem, assignee._id, req.user._id);
+        dispatchEvent('problem.assigned', { problem: problemPayload(problem), assignee: assignee._id, assignedBy: req.user._id });
+      }
     }
 
     await problem.populate('reportedBy', 'name email');
     await problem.populate('assignedTo', 'name email');
 
     // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`ward-${problem.wardNumber}`).emit('problem-updated', {
-        problem: {
-          _id: problem._id,
-          title: problem.title,
-          status: problem.status,
-          wardNumber: problem.wardNumber
-        }
-      });
-    }
+    emitProblemUpdated(req, problem);
 
     res.json({
       message: 'Problem status updated successfully',
-      problem
+      problem: redactProblem(req.user, problem)
     });
   } catch (error) {
     console.error('Update problem status error:', error);
@@ -189,16 +509,586 @@ router.put('/:id/status', adminAuth, [
   }
 });
 
+// @route   POST /api/problems/:id/assign
+// @desc    Assign a problem to a field worker or ward officer
+// @access  Private (Ward officer or Admin)
+router.post('/:id/assign', auth, requirePermission('problems:manage'), [
+  body('assigneeId').notEmpty().withMessage('Assignee is required'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canManageProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { assignee, error } = await findAssignee(req.body.assigneeId, problem);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const previousAssignee = problem.assignedTo;
+    await problem.assignTo(assignee._id, req.user._id, req.body.notes);
+    if (String(previousAssignee) !== String(assignee._id)) {
+      await notifyAssignment(req.app.get('io'), problem, assignee._id, req.user._id);
+      dispatchEvent('problem.assigned', { problem: problemPayload(problem), assignee: assignee._id, assignedBy: req.user._id });
+    }
+    await problem.populate('assignedTo', 'name email');
+
+    res.json({
+      message: 'Problem assigned successfully',
+      problem: redactProblem(req.user, problem)
+    });
+  } catch (error) {
+    console.error('Assign problem error:', error);
+    res.status(500).json({ message: 'Server error while assigning problem' });
+  }
+});
+
+// @route   POST /api/problems/:id/unassign
+// @desc    Remove the assignee from a problem
+// @access  Private (Ward officer or Admin)
+router.post('/:id/unassign', auth, requirePermission('problems:manage'), [
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canManageProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!problem.assignedTo) {
+      return res.status(400).json({ message: 'Problem is not assigned' });
+    }
+
+    await problem.assignTo(null, req.user._id, req.body.notes);
+
+    res.json({
+      message: 'Problem unassigned successfully',
+      problem: redactProblem(req.user, problem)
+    });
+  } catch (error) {
+    console.error('Unassign problem error:', error);
+    res.status(500).json({ message: 'Server error while unassigning problem' });
+  }
+});
+
+// @route   GET /api/problems/:id/duplicates
+// @desc    Suggest likely duplicates of an existing problem
+// @access  Private
+router.get('/:id/duplicates', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canViewProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const possibleDuplicates = await findLikelyDuplicates({
+      wardNumber: problem.wardNumber,
+      category: problem.category,
+      title: problem.title,
+      description: problem.description,
+      geoLocation: problem.geoLocation,
+      excludeId: problem._id,
+      scope: problemScopeQuery(req.user)
+    });
+
+    res.json({ possibleDuplicates });
+  } catch (error) {
+    console.error('Get duplicates error:', error);
+    res.status(500).json({ message: 'Server error while fetching duplicates' });
+  }
+});
+
+// @route   POST /api/problems/:id/merge
+// @desc    Merge duplicate problems into this (canonical) problem
+// @access  Private (Ward officer or Admin)
+router.post('/:id/merge', auth, requirePermission('problems:manage'), [
+  body('duplicateIds').isArray({ min: 1, max: 50 }).withMessage('duplicateIds must be a non-empty array'),
+  body('duplicateIds.*').isMongoId().withMessage('Invalid problem id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const canonical = await Problem.findById(req.params.id);
+    if (!canonical) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canManageProblem(req.user, canonical)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (canonical.mergedInto) {
+      return res.status(409).json({ message: 'Cannot merge into a problem that was itself merged' });
+    }
+
+    const duplicateIds = [...new Set(req.body.duplicateIds)].filter((id) => id !== String(canonical._id));
+    const duplicates = await Problem.find({ _id: { $in: duplicateIds } });
+
+    if (duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({ message: 'One or more duplicate problems not found' });
+    }
+
+    for (const duplicate of duplicates) {
+      if (!canManageProblem(req.user, duplicate)) {
+        return res.status(403).json({ message: `Access denied for problem ${duplicate._id}` });
+      }
+      if (duplicate.mergedInto) {
+        return res.status(409).json({ message: `Problem ${duplicate._id} was already merged` });
+      }
+      // Merging would expose a private problem's photos and reporters to the public, or the reverse
+      if ((duplicate.isPublic !== false) !== (canonical.isPublic !== false)) {
+        return res.status(409).json({ message: `Problem ${duplicate._id} is ${canonical.isPublic === false ? 'public' : 'private'}; only problems with the same visibility can be merged` });
+      }
+    }
+
+    // Keep every reporter informed by following the canonical problem,
+    // as long as they are allowed to see it
+    const candidateIds = new Set();
+    for (const duplicate of duplicates) {
+      [duplicate.reportedBy, ...(duplicate.followers || [])].forEach((userId) => {
+        if (!canonical.reportedBy.equals(userId)) {
+          candidateIds.add(String(userId));
+        }
+      });
+    }
+    const candidates = await User.find({ _id: { $in: [...candidateIds] }, isActive: true })
+      .select('role wardNumber managedWards');
+    const followerIds = new Set((canonical.followers || []).map(String));
+    candidates
+      .filter((candidate) => canViewProblem(candidate, canonical))
+      .forEach((candidate) => followerIds.add(String(candidate._id)));
+    canonical.followers = [...followerIds];
+
+    // Take duplicates' photos up to the limit; the rest stay on the closed duplicates
+    let imagesSkipped = 0;
+    for (const duplicate of duplicates) {
+      const room = Math.max(MAX_IMAGES_PER_PROBLEM - canonical.images.length, 0);
+      canonical.images.push(...duplicate.images.slice(0, room).map((image) => image.toObject()));
+      imagesSkipped += Math.max(duplicate.images.length - room, 0);
+    }
+
+    await inTransaction(async (session) => {
+      await canonical.save({ session });
+
+      for (const duplicate of duplicates) {
+        await duplicate.mergeInto(canonical, req.user._id, session);
+        await ProblemHistory.create([{
+          problem: canonical._id,
+          action: 'merged',
+          relatedProblem: duplicate._id,
+          changedBy: req.user._id,
+          notes: `Absorbed duplicate ${duplicate._id}`
+        }], { session });
+      }
+    });
+
+    res.json({
+      message: `Merged ${duplicates.length} duplicate problem(s)`,
+      problem: redactProblem(req.user, canonical),
+      mergedIds: duplicates.map((duplicate) => duplicate._id),
+      imagesSkipped
+    });
+  } catch (error) {
+    console.error('Merge problems error:', error);
+    res.status(500).json({ message: 'Server error while merging problems' });
+  }
+});
+
+// @route   POST /api/problems/:id/follow
+// @desc    Follow a problem to get notified about its updates
+// @access  Private (same ward)
+router.post('/:id/follow', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canViewProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await Problem.updateOne({ _id: problem._id }, { $addToSet: { followers: req.user._id } });
+
+    res.json({ message: 'Following problem' });
+  } catch (error) {
+    console.error('Follow problem error:', error);
+    res.status(500).json({ message: 'Server error while following problem' });
+  }
+});
+
+// @route   DELETE /api/problems/:id/follow
+// @desc    Stop following a problem
+// @access  Private
+router.delete('/:id/follow', auth, async (req, res) => {
+  try {
+    const result = await Problem.updateOne({ _id: req.params.id }, { $pull: { followers: req.user._id } });
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    res.json({ message: 'Unfollowed problem' });
+  } catch (error) {
+    console.error('Unfollow problem error:', error);
+    res.status(500).json({ message: 'Server error while unfollowing problem' });
+  }
+});
+
+// Broadcast a new endorsement count to the problem's ward room
+const emitEndorsementUpdate = (req, problem) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(problemRooms(problem)).emit('problem-endorsed', {
+      problemId: problem._id,
+      endorsementCount: problem.endorsementCount,
+      priority: problem.priority,
+      wardNumber: problem.wardNumber
+    });
+  }
+};
+
+// @route   POST /api/problems/:id/endorse
+// @desc    Endorse a problem ("me too"), once per user
+// @access  Private (same ward)
+router.post('/:id/endorse', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canViewProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (problem.reportedBy.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot endorse your own problem' });
+    }
+
+    if (problem.mergedInto) {
+      return res.status(409).json({ message: 'Problem was merged into another problem', mergedInto: problem.mergedInto });
+    }
+
+    const updated = await Problem.findOneAndUpdate(
+      { _id: problem._id, endorsedBy: { $ne: req.user._id } },
+      { $addToSet: { endorsedBy: req.user._id }, $inc: { endorsementCount: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'You have already endorsed this problem' });
+    }
+
+    // Raise priority once enough residents are affected
+    const threshold = [...ENDORSEMENT_PRIORITY_THRESHOLDS]
+      .reverse()
+      .find((rule) => updated.endorsementCount >= rule.count);
+    if (threshold) {
+      await updated.raisePriority(threshold.priority, null, `Reached ${threshold.count} endorsements`);
+    }
+
+    emitEndorsementUpdate(req, updated);
+
+    res.json({
+      message: 'Problem endorsed',
+      endorsementCount: updated.endorsementCount,
+      priority: updated.priority
+    });
+  } catch (error) {
+    console.error('Endorse problem error:', error);
+    res.status(500).json({ message: 'Server error while endorsing problem' });
+  }
+});
+
+// @route   DELETE /api/problems/:id/endorse
+// @desc    Withdraw an endorsement
+// @access  Private (same ward)
+router.delete('/:id/endorse', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canViewProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const updated = await Problem.findOneAndUpdate(
+      { _id: problem._id, endorsedBy: req.user._id },
+      { $pull: { endorsedBy: req.user._id }, $inc: { endorsementCount: -1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'You have not endorsed this problem' });
+    }
+
+    emitEndorsementUpdate(req, updated);
+
+    res.json({
+      message: 'Endorsement withdrawn',
+      endorsementCount: updated.endorsementCount,
+      priority: updated.priority
+    });
+  } catch (error) {
+    console.error('Unendorse problem error:', error);
+    res.status(500).json({ message: 'Server error while withdrawing endorsement' });
+  }
+});
+
+// Load a resolved problem for the reporter to confirm or dispute
+const loadResolutionForReporter = async (req, res) => {
+  const problem = await Problem.findById(req.params.id);
+  if (!problem) {
+    res.status(404).json({ message: 'Problem not found' });
+    return null;
+  }
+
+  if (!problem.reportedBy.equals(req.user._id)) {
+    res.status(403).json({ message: 'Only the reporter can respond to a resolution' });
+    return null;
+  }
+
+  if (problem.status !== 'Resolved') {
+    res.status(409).json({ message: 'Problem is not awaiting confirmation', currentStatus: problem.status });
+    return null;
+  }
+
+  if (problem.confirmationDeadline() < new Date()) {
+    res.status(409).json({ message: 'The confirmation window for this problem has passed' });
+    return null;
+  }
+
+  return problem;
+};
+
+// @route   POST /api/problems/:id/confirm-resolution
+// @desc    Reporter confirms the problem is fixed, closing it
+// @access  Private (Reporter)
+router.post('/:id/confirm-resolution', auth, async (req, res) => {
+  try {
+    const problem = await loadResolutionForReporter(req, res);
+    if (!problem) return;
+
+    await problem.updateStatus('Closed', null, req.user._id, 'Resolution confirmed by reporter');
+    await notifyStatusChange(req.app.get('io'), problem, req.user._id, 'Resolved');
+    dispatchEvent('problem.status_changed', {
+      problem: problemPayload(problem),
+      from: 'Resolved',
+      to: problem.status,
+      changedBy: req.user._id
+    });
+    emitProblemUpdated(req, problem);
+
+    res.json({
+      message: 'Resolution confirmed',
+      problem: redactProblem(req.user, problem)
+    });
+  } catch (error) {
+    console.error('Confirm resolution error:', error);
+    res.status(500).json({ message: 'Server error while confirming resolution' });
+  }
+});
+
+// @route   POST /api/problems/:id/dispute-resolution
+// @desc    Reporter disputes the resolution, reopening the problem
+// @access  Private (Reporter)
+router.post('/:id/dispute-resolution', auth, [
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problem = await loadResolutionForReporter(req, res);
+    if (!problem) return;
+
+    await problem.updateStatus('Reopened', null, req.user._id, req.body.reason);
+    await notifyStatusChange(req.app.get('io'), problem, req.user._id, 'Resolved');
+    dispatchEvent('problem.status_changed', {
+      problem: problemPayload(problem),
+      from: 'Resolved',
+      to: problem.status,
+      changedBy: req.user._id
+    });
+    emitProblemUpdated(req, problem);
+
+    res.json({
+      message: 'Problem reopened',
+      problem: redactProblem(req.user, problem)
+    });
+  } catch (error) {
+    console.error('Dispute resolution error:', error);
+    res.status(500).json({ message: 'Server error while disputing resolution' });
+  }
+});
+
+// @route   POST /api/problems/:id/images
+// @desc    Upload photos for a problem (multipart field "images")
+// @access  Private (Reporter or ward staff)
+router.post('/:id/images', auth, uploadImages('images'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    const isReporter = problem.reportedBy.equals(req.user._id);
+    if (!isReporter && !canManageProblem(req.user, problem) && !canUpdateProblemStatus(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (problem.images.length + req.files.length > MAX_IMAGES_PER_PROBLEM) {
+      return res.status(400).json({ message: `A problem can have at most ${MAX_IMAGES_PER_PROBLEM} images` });
+    }
+
+    const stored = [];
+    try {
+      for (const file of req.files) {
+        stored.push(await storeProblemImage(problem._id, file, req.user._id));
+      }
+    } catch (error) {
+      await Promise.all(stored.map(removeProblemImage));
+      if (error.code === 'INVALID_IMAGE') {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+
+    problem.images.push(...stored);
+    await problem.save();
+
+    res.status(201).json({
+      message: 'Images uploaded successfully',
+      images: redactProblem(req.user, problem).images
+    });
+  } catch (error) {
+    console.error('Upload problem images error:', error);
+    res.status(500).json({ message: 'Server error while uploading images' });
+  }
+});
+
+// Stream a problem photo or its thumbnail to anyone who can view the problem
+const sendProblemImage = ({ thumbnail }) => async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id).select('images reportedBy assignedTo wardNumber isPublic');
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!canViewProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const image = problem.images.id(req.params.imageId);
+    if (!image || !(thumbnail ? image.thumbnailKey : image.key)) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const stream = readProblemImage(image, { thumbnail });
+    stream.on('error', (error) => {
+      // Once bytes have gone out the response can only be cut short
+      if (res.headersSent) return res.destroy(error);
+      res.removeHeader('Cache-Control');
+      if (error.code === 'ENOENT') return res.status(404).json({ message: 'Image not found' });
+      console.error('Read problem image error:', error);
+      res.status(500).json({ message: 'Server error while fetching image' });
+    });
+
+    res.setHeader('Content-Type', thumbnail ? 'image/jpeg' : image.mimeType || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Get problem image error:', error);
+    res.status(500).json({ message: 'Server error while fetching image' });
+  }
+};
+
+// @route   GET /api/problems/:id/images/:imageId
+// @desc    Fetch a problem photo
+// @access  Private (anyone who can view the problem)
+router.get('/:id/images/:imageId', auth, sendProblemImage({ thumbnail: false }));
+
+// @route   GET /api/problems/:id/images/:imageId/thumbnail
+// @desc    Fetch a problem photo's thumbnail
+// @access  Private (anyone who can view the problem)
+router.get('/:id/images/:imageId/thumbnail', auth, sendProblemImage({ thumbnail: true }));
+
+// @route   DELETE /api/problems/:id/images/:imageId
+// @desc    Remove a photo from a problem
+// @access  Private (Uploader or ward manager)
+router.delete('/:id/images/:imageId', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    const image = problem.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const isUploader = image.uploadedBy && image.uploadedBy.equals(req.user._id);
+    if (!isUploader && !canManageProblem(req.user, problem)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await removeProblemImage(image);
+    image.deleteOne();
+    await problem.save();
+
+    res.json({
+      message: 'Image removed successfully',
+      images: redactProblem(req.user, problem).images
+    });
+  } catch (error) {
+    console.error('Delete problem image error:', error);
+    res.status(500).json({ message: 'Server error while removing image' });
+  }
+});
+
 // @route   GET /api/problems/stats/summary
 // @desc    Get problem statistics
 // @access  Private
 router.get('/stats/summary', auth, async (req, res) => {
   try {
-    let matchQuery = {};
-    
-    if (req.user.role !== 'admin') {
-      matchQuery.wardNumber = req.user.wardNumber;
-    }
+    const matchQuery = problemScopeQuery(req.user);
 
     const stats = await Problem.aggregate([
       { $match: matchQuery },
@@ -222,7 +1112,7 @@ router.get('/stats/summary', auth, async (req, res) => {
     ]);
 
     const wardStats = await Problem.aggregate([
-      { $match: req.user.role === 'admin' ? {} : { wardNumber: req.user.wardNumber } },
+      { $match: matchQuery },
       {
         $group: {
           _id: '$wardNumber',
@@ -235,16 +1125,57 @@ router.get('/stats/summary', auth, async (req, res) => {
           },
           resolved: {
             $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] }
+          },
+          reopened: {
+            $sum: { $cond: [{ $eq: ['$status', 'Reopened'] }, 1, 0] }
+          },
+          slaBreached: {
+            $sum: { $cond: ['$slaBreached', 1, 0] }
           }
         }
       },
       { $sort: { _id: 1 } }
     ]);
 
+    const now = new Date();
+    const [slaStats] = await Problem.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: null,
+          breachedTotal: {
+            $sum: { $cond: ['$slaBreached', 1, 0] }
+          },
+          breachedActive: {
+            $sum: {
+              $cond: [{ $and: ['$slaBreached', { $in: ['$status', ACTIVE_STATUSES] }] }, 1, 0]
+            }
+          },
+          dueWithin24h: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $not: ['$slaBreached'] },
+                  { $in: ['$status', ACTIVE_STATUSES] },
+                  { $gt: ['$estimatedResolutionDate', now] },
+                  { $lte: ['$estimatedResolutionDate', new Date(now.getTime() + 24 * 60 * 60 * 1000)] }
+                ]
+              }, 1, 0]
+            }
+          }
+        }
+      }
+    ]);
+
     res.json({
       statusStats: stats,
       categoryStats,
-      wardStats
+      wardStats,
+      slaStats: {
+        breachedTotal: slaStats ? slaStats.breachedTotal : 0,
+        breachedActive: slaStats ? slaStats.breachedActive : 0,
+        dueWithin24h: slaStats ? slaStats.dueWithin24h : 0
+      }
     });
   } catch (error) {
     console.error('Get stats error:', error);
@@ -252,4 +1183,88 @@ router.get('/stats/summary', auth, async (req, res) => {
   }
 });
 
+// Parse the filters shared by the analytics endpoints
+const parseAnalyticsFilters = (queryParams, interval) => {
+  const { from, to, wardNumber, category } = queryParams;
+
+  const { filter, error } = parseDateRange({ from, to });
+  if (error) return { error };
+
+  const filters = {};
+  if (wardNumber) filters.wardNumber = parseInt(wardNumber);
+  if (category) filters.category = category;
+
+  return { filters, ...resolveWindow(filter, interval) };
+};
+
+// @route   GET /api/problems/stats/trends
+// @desc    Problems opened vs resolved per day/week/month, optionally by ward or category
+// @access  Private
+router.get('/stats/trends', auth, async (req, res) => {
+  try {
+    const { interval = 'day', groupBy } = req.query;
+
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `Invalid interval. Allowed: ${INTERVALS.join(', ')}` });
+    }
+
+    if (groupBy && !GROUP_FIELDS[groupBy]) {
+      return res.status(400).json({ message: `Invalid groupBy. Allowed: ${Object.keys(GROUP_FIELDS).join(', ')}` });
+    }
+
+    const { filters, start, end, error } = parseAnalyticsFilters(req.query, interval);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const trend = await openedResolvedTrend({
+      scope: problemScopeQuery(req.user),
+      filters,
+      interval,
+      groupBy,
+      start,
+      end
+    });
+
+    if (trend.error) {
+      return res.status(400).json({ message: trend.error });
+    }
+
+    res.json({
+      interval,
+      groupBy: groupBy || null,
+      from: start,
+      to: end,
+      series: trend.series
+    });
+  } catch (error) {
+    console.error('Get trends error:', error);
+    res.status(500).json({ message: 'Server error while fetching trends' });
+  }
+});
+
+// @route   GET /api/problems/stats/resolution-times
+// @desc    Mean and median time to resolution, overall and by ward and category
+// @access  Private
+router.get('/stats/resolution-times', auth, async (req, res) => {
+  try {
+    const { filters, start, end, error } = parseAnalyticsFilters(req.query, 'month');
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const times = await resolutionTimes({
+      scope: problemScopeQuery(req.user),
+      filters,
+      start,
+      end
+    });
+
+    res.json({ from: start, to: end, ...times });
+  } catch (error) {
+    console.error('Get resolution times error:', error);
+    res.status(500).json({ message: 'Server error while fetching resolution times' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SlaPolicy = require('../models/SlaPolicy');
+const Problem = require('../models/Problem');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PRIORITIES, DEFAULT_SLA_HOURS, CATEGORY_SLA_HOURS } = require('../config/sla');
+
+const router = express.Router();
+
+// @route   GET /api/sla-policies
+// @desc    Get SLA policies and the built-in defaults
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find().sort({ category: 1, priority: 1 });
+
+    res.json({
+      policies,
+      defaults: {
+        byPriority: DEFAULT_SLA_HOURS,
+        byCategory: CATEGORY_SLA_HOURS
+      }
+    });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({ message: 'Server error while fetching SLA policies' });
+  }
+});
+
+// @route   PUT /api/sla-policies
+// @desc    Create or update the SLA policy for a category and priority
+// @access  Private (Admin)
+router.put('/', auth, requirePermission('sla:manage'), [
+  body('category').isIn(Problem.schema.path('category').enumValues).withMessage('Invalid category'),
+  body('priority').isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('resolutionHours').isInt({ min: 1 }).withMessage('Resolution hours must be a positive number'),
+  body('escalateOnBreach').optional().isBoolean().withMessage('escalateOnBreach must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { category, priority, resolutionHours, escalateOnBreach } = req.body;
+
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { category, priority },
+      {
+        $set: {
+          resolutionHours,
+          escalateOnBreach: escalateOnBreach === undefined ? true : escalateOnBreach,
+          updatedBy: req.user._id
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'SLA policy saved successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Save SLA policy error:', error);
+    res.status(500).json({ message: 'Server error while saving SLA policy' });
+  }
+});
+
+// @route   DELETE /api/sla-policies/:id
+// @desc    Delete an SLA policy, reverting to the defaults
+// @access  Private (Admin)
+router.delete('/:id', auth, requirePermission('sla:manage'), async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ message: 'SLA policy not found' });
+    }
+
+    res.json({ message: 'SLA policy deleted successfully' });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({ message: 'Server error while deleting SLA policy' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,424 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Problem = require('../models/Problem');
+const User = require('../models/User');
+const Ward = require('../models/Ward');
+const { auth } = require('../middleware/auth');
+const { getManagedWards, hasPermission, requirePermission } = require('../middleware/permissions');
+const { revokeAllSessions } = require('../services/tokenService');
+const { sendVerificationEmail } = require('../services/verificationService');
+const { disconnectUserSockets } = require('../socket');
+const { ACTIVE_STATUSES } = require('../config/statusWorkflow');
+const { ROLES, PRIVILEGED_ROLES, ASSIGNABLE_ROLES } = require('../config/roles');
+const { normalizePhone } = require('../utils/phone');
+const { escapeRegex } = require('../utils/regex');
+const { listProblems } = require('../services/problemQuery');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// Load the target user for admin routes
+const loadTargetUser = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('Load user error:', error);
+    res.status(500).json({ message: 'Server error while fetching user' });
+  }
+};
+
+// @route   GET /api/users
+// @desc    List and search users
+// @access  Private (Admin)
+router.get('/', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { q, role, wardNumber, isActive } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    let query = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (wardNumber) {
+      query.wardNumber = parseInt(wardNumber);
+    }
+
+    if (isActive === 'true' || isActive === 'false') {
+      query.isActive = isActive === 'true';
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+});
+
+// @route   PUT /api/users/me
+// @desc    Update own profile
+// @access  Private
+router.put('/me', auth, [
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('phone').optional().custom((value) => normalizePhone(value) !== null).withMessage('Please provide a valid phone number'),
+  body('address').optional().trim().isLength({ min: 5 }).withMessage('Address must be at least 5 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { name, email, phone, address } = req.body;
+
+    if (name !== undefined) user.name = name;
+    if (address !== undefined) user.address = address;
+
+    let emailChanged = false;
+    if (email !== undefined && email !== user.email) {
+      const existing = await User.findOne({ email, _id: { $ne: user._id } });
+      if (existing) {
+        return res.status(400).json({ message: 'Email is already in use' });
+      }
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+      emailChanged = true;
+    }
+
+    const normalizedPhone = phone !== undefined ? normalizePhone(phone) : null;
+    if (normalizedPhone && normalizedPhone !== user.phone) {
+      const existing = await User.findByPhone(normalizedPhone, { _id: { $ne: user._id } });
+      if (existing) {
+        return res.status(400).json({ message: 'Phone number is already in use' });
+      }
+      user.phone = normalizedPhone;
+      user.phoneVerified = false;
+    }
+
+    // Phone-only accounts must keep a verified phone or set a password before changing it
+    if (!user.password && !user.phoneVerified) {
+      return res.status(400).json({ message: 'Set a password before changing the phone number on this account' });
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    res.json({
+      message: 'Profile updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Server error while updating profile' });
+  }
+});
+
+// @route   GET /api/users/workload
+// @desc    Open assigned problem counts per worker
+// @access  Private (Ward officer or Admin)
+router.get('/workload', auth, requirePermission('problems:manage'), async (req, res) => {
+  try {
+    const managedWards = getManagedWards(req.user);
+    const { wardNumber } = req.query;
+
+    let match = {
+      assignedTo: { $ne: null },
+      status: { $in: ACTIVE_STATUSES }
+    };
+
+    if (wardNumber) {
+      const ward = parseInt(wardNumber);
+      if (managedWards !== null && !managedWards.includes(ward)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      match.wardNumber = ward;
+    } else if (managedWards !== null) {
+      match.wardNumber = { $in: managedWards };
+    }
+
+    const workload = await Problem.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$assignedTo',
+          openAssigned: { $sum: 1 },
+          critical: {
+            $sum: { $cond: [{ $eq: ['$priority', 'Critical'] }, 1, 0] }
+          },
+          oldestAssignedAt: { $min: '$createdAt' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'worker'
+        }
+      },
+      { $unwind: '$worker' },
+      {
+        $project: {
+          _id: 0,
+          workerId: '$_id',
+          name: '$worker.name',
+          role: '$worker.role',
+          wardNumber: '$worker.wardNumber',
+          openAssigned: 1,
+          critical: 1,
+          oldestAssignedAt: 1
+        }
+      },
+      { $sort: { openAssigned: -1 } }
+    ]);
+
+    // Include idle workers so managers can see who has capacity
+    let workerQuery = { role: { $in: ASSIGNABLE_ROLES }, isActive: true };
+    if (match.wardNumber !== undefined) {
+      workerQuery.wardNumber = match.wardNumber;
+    }
+
+    const workers = await User.find(workerQuery).select('name role wardNumber');
+    const busy = new Set(workload.map((row) => String(row.workerId)));
+    const idle = workers
+      .filter((worker) => !busy.has(String(worker._id)))
+      .map((worker) => ({
+        workerId: worker._id,
+        name: worker.name,
+        role: worker.role,
+        wardNumber: worker.wardNumber,
+        openAssigned: 0,
+        critical: 0,
+        oldestAssignedAt: null
+      }));
+
+    res.json({ workload: [...workload, ...idle] });
+  } catch (error) {
+    console.error('Get workload error:', error);
+    res.status(500).json({ message: 'Server error while fetching workload' });
+  }
+});
+
+// @route   GET /api/users/:id/assignments
+// @desc    Get problems assigned to a user
+// @access  Private (Self, Ward officer or Admin)
+router.get('/:id/assignments', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const isSelf = req.user._id.equals(req.params.id);
+    if (!isSelf && !hasPermission(req.user, 'problems:manage')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const scope = { assignedTo: req.params.id };
+
+    // Managers only see public assignments within their wards
+    const managedWards = getManagedWards(req.user);
+    if (!isSelf && managedWards !== null) {
+      scope.wardNumber = { $in: managedWards };
+      scope.isPublic = { $ne: false };
+    }
+
+    if (!req.query.status && req.query.active === 'true') {
+      scope.status = { $in: ACTIVE_STATUSES };
+    }
+
+    // Shares filter, sort and pagination validation with GET /api/problems
+    const { body, error } = await listProblems(scope, req.query, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(body);
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({ message: 'Server error while fetching assignments' });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get a user
+// @access  Private (Admin)
+router.get('/:id', auth, requirePermission('users:manage'), loadTargetUser, async (req, res) => {
+  res.json({ user: req.targetUser });
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Change a user's role and managed wards
+// @access  Private (Admin; Super admin for admin roles)
+router.put('/:id/role', auth, requirePermission('users:manage'), loadTargetUser, [
+  body('role').isIn(ROLES).withMessage('Invalid role'),
+  body('managedWards').optional().isArray().withMessage('managedWards must be an array'),
+  body('managedWards.*').isInt({ min: 1, max: 50 }).withMessage('Ward number must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = req.targetUser;
+    const { role, managedWards } = req.body;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const touchesPrivileged = PRIVILEGED_ROLES.includes(role) || PRIVILEGED_ROLES.includes(user.role);
+    if (touchesPrivileged && !hasPermission(req.user, 'users:manage_roles')) {
+      return res.status(403).json({ message: 'Only a super admin can grant or revoke admin roles' });
+    }
+
+    user.role = role;
+    if (role === 'ward_officer') {
+      user.managedWards = managedWards && managedWards.length ? managedWards.map(Number) : [user.wardNumber];
+    } else {
+      user.managedWards = [];
+    }
+    await user.save();
+
+    // Live sockets hold the old role and rooms until they reconnect
+    await disconnectUserSockets(req.app.get('io'), user._id);
+
+    res.json({
+      message: 'User role updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ message: 'Server error while updating user role' });
+  }
+});
+
+// @route   PUT /api/users/:id/status
+// @desc    Activate or deactivate a user
+// @access  Private (Admin)
+router.put('/:id/status', auth, requirePermission('users:manage'), loadTargetUser, [
+  body('isActive').isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = req.targetUser;
+    const isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot change your own account status' });
+    }
+
+    if (PRIVILEGED_ROLES.includes(user.role) && !hasPermission(req.user, 'users:manage_roles')) {
+      return res.status(403).json({ message: 'Only a super admin can change the status of an admin' });
+    }
+
+    user.isActive = isActive;
+    await user.save();
+
+    // Deactivated users are signed out everywhere
+    if (!isActive) {
+      await revokeAllSessions(user._id);
+      await disconnectUserSockets(req.app.get('io'), user._id);
+    }
+
+    res.json({
+      message: isActive ? 'User activated successfully' : 'User deactivated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({ message: 'Server error while updating user status' });
+  }
+});
+
+// @route   PUT /api/users/:id/ward
+// @desc    Move a user to another ward
+// @access  Private (Admin)
+router.put('/:id/ward', auth, requirePermission('users:manage'), loadTargetUser, [
+  body('wardNumber').isInt({ min: 1, max: 50 }).withMessage('Ward number must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = req.targetUser;
+    const wardNumber = parseInt(req.body.wardNumber);
+
+    const ward = await Ward.findOne({ wardNumber, isActive: true });
+    if (!ward) {
+      return res.status(404).json({ message: 'Ward not found' });
+    }
+
+    const previousWard = user.wardNumber;
+    user.wardNumber = wardNumber;
+    await user.save();
+    await disconnectUserSockets(req.app.get('io'), user._id);
+
+    // Assignments in the old ward may need to be handed over
+    const openAssignments = await Problem.countDocuments({
+      assignedTo: user._id,
+      wardNumber: previousWard,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    res.json({
+      message: 'User moved to new ward successfully',
+      user,
+      previousWard,
+      openAssignments
+    });
+  } catch (error) {
+    console.error('Transfer user ward error:', error);
+    res.status(500).json({ message: 'Server error while transferring user' });
+  }
+});
+
+module.exports = router;
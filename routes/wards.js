@@ -2,36 +2,40 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Ward = require('../models/Ward');
 const Problem = require('../models/Problem');
-const { auth, adminAuth } = require('../middleware/auth');
+const AssignmentRule = require('../models/AssignmentRule');
+const { auth } = require('../middleware/auth');
+const {
+  canViewWard,
+  canManageWard,
+  redactProblem,
+  problemScopeQuery,
+  requirePermission
+} = require('../middleware/permissions');
+const { findAssignee } = require('../services/assignmentService');
+const { toPoint, isValidLatLng, isValidPolygon } = require('../utils/geo');
+const { wardReportData, streamWardReportCsv } = require('../services/exportService');
+const { parseMonth } = require('../utils/dateRange');
+const { getWardsWithStats } = require('../services/wardStatsService');
+const wardStatsCache = require('../services/wardStatsCache');
+const WardHistory = require('../models/WardHistory');
+const { deactivateWard, activateWard, mergeWards, renumberWard } = require('../services/wardLifecycleService');
+const { listProblems } = require('../services/problemQuery');
+const { disconnectWardSockets } = require('../socket');
 
 const router = express.Router();
 
+// Fields PUT /api/wards/:wardNumber may change. Numbering and activation
+// go through the lifecycle endpoints so dependent records move with them.
+const UPDATABLE_FIELDS = ['name', 'description', 'population', 'area', 'representative', 'boundary'];
+
+const lifecycleNotes = body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters');
+
 // @route   GET /api/wards
-// @desc    Get all wards
+// @desc    Get all wards with active and total problem counts
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const wards = await Ward.find({ isActive: true }).sort({ wardNumber: 1 });
-    
-    // Add problem counts for each ward
-    const wardsWithStats = await Promise.all(
-      wards.map(async (ward) => {
-        const activeProblems = await Problem.countDocuments({
-          wardNumber: ward.wardNumber,
-          status: { $in: ['Open', 'In Progress'] }
-        });
-        
-        const totalProblems = await Problem.countDocuments({
-          wardNumber: ward.wardNumber
-        });
-
-        return {
-          ...ward.toObject(),
-          activeProblems,
-          totalProblems
-        };
-      })
-    );
+    const wardsWithStats = await getWardsWithStats();
 
     res.json({ wards: wardsWithStats });
   } catch (error) {
@@ -40,6 +44,29 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/wards/locate
+// @desc    Find the ward whose boundary contains a point
+// @access  Private
+router.get('/locate', auth, async (req, res) => {
+  try {
+    const { lat, lng } = req.query;
+
+    if (!isValidLatLng(lat, lng)) {
+      return res.status(400).json({ message: 'Valid lat and lng query parameters are required' });
+    }
+
+    const ward = await Ward.findByPoint(toPoint(lat, lng));
+    if (!ward) {
+      return res.status(404).json({ message: 'No ward found for this location' });
+    }
+
+    res.json({ ward });
+  } catch (error) {
+    console.error('Locate ward error:', error);
+    res.status(500).json({ message: 'Server error while locating ward' });
+  }
+});
+
 // @route   GET /api/wards/:wardNumber
 // @desc    Get specific ward details
 // @access  Private
@@ -52,15 +79,18 @@ router.get('/:wardNumber', auth, async (req, res) => {
       return res.status(404).json({ message: 'Ward not found' });
     }
 
+    // Only problems the user can see, so private reports stay hidden
+    const visibleQuery = { $and: [{ wardNumber }, problemScopeQuery(req.user)] };
+
     // Get recent problems for this ward
-    const recentProblems = await Problem.find({ wardNumber })
+    const recentProblems = await Problem.find(visibleQuery)
       .populate('reportedBy', 'name email')
       .sort({ createdAt: -1 })
       .limit(5);
 
     // Get problem statistics
     const stats = await Problem.aggregate([
-      { $match: { wardNumber } },
+      { $match: visibleQuery },
       {
         $group: {
           _id: '$status',
@@ -71,7 +101,7 @@ router.get('/:wardNumber', auth, async (req, res) => {
 
     res.json({
       ward,
-      recentProblems,
+      recentProblems: recentProblems.map((problem) => redactProblem(req.user, problem)),
       stats
     });
   } catch (error) {
@@ -83,11 +113,12 @@ router.get('/:wardNumber', auth, async (req, res) => {
 // @route   POST /api/wards
 // @desc    Create a new ward (Admin only)
 // @access  Private (Admin)
-router.post('/', adminAuth, [
+router.post('/', auth, requirePermission('wards:create'), [
   body('wardNumber').isInt({ min: 1, max: 50 }).withMessage('Ward number must be between 1 and 50'),
   body('name').trim().isLength({ min: 2 }).withMessage('Ward name must be at least 2 characters'),
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
-  body('population').optional().isInt({ min: 0 }).withMessage('Population must be a positive number')
+  body('population').optional().isInt({ min: 0 }).withMessage('Population must be a positive number'),
+  body('boundary').optional().custom(isValidPolygon).withMessage('Boundary must be a GeoJSON Polygon or MultiPolygon')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -95,7 +126,7 @@ router.post('/', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { wardNumber, name, description, population, area, representative } = req.body;
+    const { wardNumber, name, description, population, area, representative, boundary } = req.body;
 
     // Check if ward already exists
     const existingWard = await Ward.findOne({ wardNumber });
@@ -109,10 +140,12 @@ router.post('/', adminAuth, [
       description,
       population,
       area,
-      representative
+      representative,
+      boundary
     });
 
     await ward.save();
+    wardStatsCache.invalidate();
 
     res.status(201).json({
       message: 'Ward created successfully',
@@ -125,12 +158,16 @@ router.post('/', adminAuth, [
 });
 
 // @route   PUT /api/wards/:wardNumber
-// @desc    Update ward details (Admin only)
-// @access  Private (Admin)
-router.put('/:wardNumber', adminAuth, [
+// @desc    Update ward details
+// @access  Private (Ward officer or Admin)
+router.put('/:wardNumber', auth, requirePermission('wards:update'), [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Ward name must be at least 2 characters'),
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
-  body('population').optional().isInt({ min: 0 }).withMessage('Population must be a positive number')
+  body('population').optional().isInt({ min: 0 }).withMessage('Population must be a positive number'),
+  body('area').optional().trim(),
+  body('representative.name').optional().trim(),
+  body('representative.contact').optional().trim(),
+  body('boundary').optional().custom(isValidPolygon).withMessage('Boundary must be a GeoJSON Polygon or MultiPolygon')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -139,7 +176,24 @@ router.put('/:wardNumber', adminAuth, [
     }
 
     const wardNumber = parseInt(req.params.wardNumber);
-    const updates = req.body;
+
+    if (!canManageWard(req.user, wardNumber)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const rejected = Object.keys(req.body).filter((field) => !UPDATABLE_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        message: `Cannot update: ${rejected.join(', ')}. Use the deactivate, merge or renumber endpoints to change a ward's number or status.`
+      });
+    }
+
+    const updates = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
 
     const ward = await Ward.findOneAndUpdate(
       { wardNumber },
@@ -151,6 +205,8 @@ router.put('/:wardNumber', adminAuth, [
       return res.status(404).json({ message: 'Ward not found' });
     }
 
+    wardStatsCache.invalidate();
+
     res.json({
       message: 'Ward updated successfully',
       ward
@@ -161,6 +217,163 @@ router.put('/:wardNumber', adminAuth, [
   }
 });
 
+// @route   POST /api/wards/:wardNumber/deactivate
+// @desc    Retire a ward, moving its users and active problems to `transferTo`
+// @access  Private (Admin)
+router.post('/:wardNumber/deactivate', auth, requirePermission('wards:restructure'), [
+  body('transferTo').optional().isInt({ min: 1, max: 50 }).withMessage('transferTo must be a ward number between 1 and 50'),
+  lifecycleNotes
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const wardNumber = parseInt(req.params.wardNumber);
+    const transferTo = req.body.transferTo !== undefined ? parseInt(req.body.transferTo) : null;
+
+    const { ward, migrated, error } = await deactivateWard(wardNumber, {
+      transferTo,
+      changedBy: req.user._id,
+      notes: req.body.notes
+    });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    // Members moved out of the retired ward rejoin under their new ward
+    if (transferTo) disconnectWardSockets(req.app.get('io'), wardNumber);
+
+    res.json({
+      message: 'Ward deactivated successfully',
+      ward,
+      migrated
+    });
+  } catch (error) {
+    console.error('Deactivate ward error:', error);
+    res.status(500).json({ message: 'Server error while deactivating ward' });
+  }
+});
+
+// @route   POST /api/wards/:wardNumber/activate
+// @desc    Bring a deactivated ward back into service
+// @access  Private (Admin)
+router.post('/:wardNumber/activate', auth, requirePermission('wards:restructure'), [
+  lifecycleNotes
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ward, error } = await activateWard(parseInt(req.params.wardNumber), {
+      changedBy: req.user._id,
+      notes: req.body.notes
+    });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Ward activated successfully',
+      ward
+    });
+  } catch (error) {
+    console.error('Activate ward error:', error);
+    res.status(500).json({ message: 'Server error while activating ward' });
+  }
+});
+
+// @route   POST /api/wards/:wardNumber/merge
+// @desc    Merge this ward into `targetWard`, moving all problems, users and rules
+// @access  Private (Admin)
+router.post('/:wardNumber/merge', auth, requirePermission('wards:restructure'), [
+  body('targetWard').isInt({ min: 1, max: 50 }).withMessage('targetWard must be a ward number between 1 and 50'),
+  lifecycleNotes
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const wardNumber = parseInt(req.params.wardNumber);
+    const { ward, target, migrated, error } = await mergeWards(
+      wardNumber,
+      parseInt(req.body.targetWard),
+      { changedBy: req.user._id, notes: req.body.notes }
+    );
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    disconnectWardSockets(req.app.get('io'), wardNumber);
+
+    res.json({
+      message: 'Wards merged successfully',
+      ward,
+      target,
+      migrated
+    });
+  } catch (error) {
+    console.error('Merge wards error:', error);
+    res.status(500).json({ message: 'Server error while merging wards' });
+  }
+});
+
+// @route   POST /api/wards/:wardNumber/renumber
+// @desc    Change a ward's number, moving all records that refer to it
+// @access  Private (Admin)
+router.post('/:wardNumber/renumber', auth, requirePermission('wards:restructure'), [
+  body('newWardNumber').isInt({ min: 1, max: 50 }).withMessage('newWardNumber must be between 1 and 50'),
+  lifecycleNotes
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const wardNumber = parseInt(req.params.wardNumber);
+    const { ward, migrated, error } = await renumberWard(
+      wardNumber,
+      parseInt(req.body.newWardNumber),
+      { changedBy: req.user._id, notes: req.body.notes }
+    );
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    disconnectWardSockets(req.app.get('io'), wardNumber);
+
+    res.json({
+      message: 'Ward renumbered successfully',
+      ward,
+      migrated
+    });
+  } catch (error) {
+    console.error('Renumber ward error:', error);
+    res.status(500).json({ message: 'Server error while renumbering ward' });
+  }
+});
+
+// @route   GET /api/wards/:wardNumber/history
+// @desc    Lifecycle audit entries involving a ward number
+// @access  Private (Admin)
+router.get('/:wardNumber/history', auth, requirePermission('wards:restructure'), async (req, res) => {
+  try {
+    const wardNumber = parseInt(req.params.wardNumber);
+
+    const history = await WardHistory.find({ $or: [{ wardNumber }, { relatedWard: wardNumber }] })
+      .populate('changedBy', 'name role')
+      .sort({ createdAt: -1 });
+
+    res.json({ history });
+  } catch (error) {
+    console.error('Get ward history error:', error);
+    res.status(500).json({ message: 'Server error while fetching ward history' });
+  }
+});
+
 // @route   GET /api/wards/:wardNumber/problems
 // @desc    Get problems for a specific ward
 // @access  Private
@@ -169,40 +382,153 @@ router.get('/:wardNumber/problems', auth, async (req, res) => {
     const wardNumber = parseInt(req.params.wardNumber);
     
     // Check if user can access this ward's problems
-    if (req.user.role !== 'admin' && wardNumber !== req.user.wardNumber) {
+    if (!canViewWard(req.user, wardNumber)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { status, category, page = 1, limit = 10 } = req.query;
-    
-    let query = { wardNumber };
-    
-    if (status) {
-      query.status = status;
+    const scope = { $and: [{ wardNumber }, problemScopeQuery(req.user)] };
+    const { body, error } = await listProblems(scope, req.query, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
-    
-    if (category) {
-      query.category = category;
+
+    res.json(body);
+  } catch (error) {
+    console.error('Get ward problems error:', error);
+    res.status(500).json({ message: 'Server error while fetching ward problems' });
+  }
+});
+
+// @route   GET /api/wards/:wardNumber/report.csv?month=YYYY-MM
+// @desc    Monthly ward report: counts by status and category, resolution times
+// @access  Private (Ward officer or Admin)
+router.get('/:wardNumber/report.csv', auth, requirePermission('reports:export'), async (req, res) => {
+  try {
+    const wardNumber = parseInt(req.params.wardNumber);
+
+    if (!canViewWard(req.user, wardNumber)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
-    const problems = await Problem.find(query)
-      .populate('reportedBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+    const range = parseMonth(month);
+    if (!range) {
+      return res.status(400).json({ message: 'month must be in YYYY-MM format' });
+    }
+
+    const ward = await Ward.findOne({ wardNumber });
+    if (!ward) {
+      return res.status(404).json({ message: 'Ward not found' });
+    }
+
+    // Counts and rows only cover problems the user can see
+    const scope = problemScopeQuery(req.user);
+    const report = await wardReportData(wardNumber, range.start, range.end, scope);
+
+    await streamWardReportCsv(
+      res, ward, month, range, report, `ward-${wardNumber}-${month}.csv`,
+      req.user, scope
+    );
+  } catch (error) {
+    console.error('Ward report error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error while generating ward report' });
+  }
+});
+
+// @route   GET /api/wards/:wardNumber/assignment-rules
+// @desc    Get auto-assignment rules for a ward
+// @access  Private (Ward officer or Admin)
+router.get('/:wardNumber/assignment-rules', auth, requirePermission('problems:manage'), async (req, res) => {
+  try {
+    const wardNumber = parseInt(req.params.wardNumber);
+
+    if (!canManageWard(req.user, wardNumber)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const rules = await AssignmentRule.find({ wardNumber })
+      .populate('assignee', 'name role')
+      .sort({ category: 1 });
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get assignment rules error:', error);
+    res.status(500).json({ message: 'Server error while fetching assignment rules' });
+  }
+});
+
+// @route   PUT /api/wards/:wardNumber/assignment-rules
+// @desc    Create or update the auto-assignment rule for a category
+// @access  Private (Ward officer or Admin)
+router.put('/:wardNumber/assignment-rules', auth, requirePermission('problems:manage'), [
+  body('category').isIn(Problem.schema.path('category').enumValues).withMessage('Invalid category'),
+  body('assigneeId').notEmpty().withMessage('Assignee is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const wardNumber = parseInt(req.params.wardNumber);
+
+    if (!canManageWard(req.user, wardNumber)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { category, assigneeId, isActive } = req.body;
+
+    const { assignee, error } = await findAssignee(assigneeId, { wardNumber });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
 
-    const total = await Problem.countDocuments(query);
+    const rule = await AssignmentRule.findOneAndUpdate(
+      { wardNumber, category },
+      {
+        $set: {
+          assignee: assignee._id,
+          isActive: isActive === undefined ? true : isActive,
+          createdBy: req.user._id
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).populate('assignee', 'name role');
 
     res.json({
-      problems,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      total
+      message: 'Assignment rule saved successfully',
+      rule
     });
   } catch (error) {
-    console.error('Get ward problems error:', error);
-    res.status(500).json({ message: 'Server error while fetching ward problems' });
+    console.error('Save assignment rule error:', error);
+    res.status(500).json({ message: 'Server error while saving assignment rule' });
+  }
+});
+
+// @route   DELETE /api/wards/:wardNumber/assignment-rules/:ruleId
+// @desc    Delete an auto-assignment rule
+// @access  Private (Ward officer or Admin)
+router.delete('/:wardNumber/assignment-rules/:ruleId', auth, requirePermission('problems:manage'), async (req, res) => {
+  try {
+    const wardNumber = parseInt(req.params.wardNumber);
+
+    if (!canManageWard(req.user, wardNumber)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const rule = await AssignmentRule.findOneAndDelete({ _id: req.params.ruleId, wardNumber });
+    if (!rule) {
+      return res.status(404).json({ message: 'Assignment rule not found' });
+    }
+
+    res.json({ message: 'Assignment rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete assignment rule error:', error);
+    res.status(500).json({ message: 'Server error while deleting assignment rule' });
   }
 });
 
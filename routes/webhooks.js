@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { generateSecret, replayDelivery, attemptDelivery } = require('../services/webhookService');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+const router = express.Router();
+
+const webhookValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('URL must be a valid http(s) URL'),
+    field('events').isArray({ min: 1 }).withMessage('At least one event is required'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be less than 200 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// All webhook routes are admin only
+const adminOnly = [auth, requirePermission('webhooks:manage')];
+
+// @route   GET /api/webhooks
+// @desc    List webhook subscriptions
+// @access  Private (Admin)
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+
+    res.json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ message: 'Server error while fetching webhooks' });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Create a webhook subscription. The signing secret is only returned here.
+// @access  Private (Admin)
+router.post('/', adminOnly, webhookValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    const secret = generateSecret();
+
+    const webhook = new Webhook({
+      url,
+      events: [...new Set(events)],
+      description,
+      isActive,
+      secret,
+      createdBy: req.user._id
+    });
+
+    await webhook.save();
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: { ...webhook.toObject(), secret }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ message: 'Server error while creating webhook' });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook subscription
+// @access  Private (Admin)
+router.put('/:id', adminOnly, webhookValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updates = {};
+    ['url', 'description', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (req.body.events !== undefined) {
+      updates.events = [...new Set(req.body.events)];
+    }
+
+    const webhook = await Webhook.findByIdAndUpdate(
+      req.params.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ message: 'Server error while updating webhook' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Generate a new signing secret
+// @access  Private (Admin)
+router.post('/:id/rotate-secret', adminOnly, async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { $set: { secret } }, { new: true });
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({
+      message: 'Webhook secret rotated',
+      secret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ message: 'Server error while rotating webhook secret' });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook subscription
+// @access  Private (Admin)
+router.delete('/:id', adminOnly, async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    // Stop any pending retries
+    await WebhookDelivery.updateMany(
+      { webhook: webhook._id, status: 'pending' },
+      { $set: { status: 'failed', lastError: 'Webhook deleted' } }
+    );
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Server error while deleting webhook' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/ping
+// @desc    Send a test event to a webhook
+// @access  Private (Admin)
+router.post('/:id/ping', adminOnly, async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: 'ping',
+      payload: { event: 'ping', occurredAt: new Date().toISOString(), data: { webhookId: webhook._id } }
+    });
+
+    res.json({ delivery: await attemptDelivery(delivery) });
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({ message: 'Server error while pinging webhook' });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Delivery log for a webhook
+// @access  Private (Admin)
+router.get('/:id/deliveries', adminOnly, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    let query = { webhook: req.params.id };
+
+    if (status) {
+      query.status = status;
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ message: 'Server error while fetching deliveries' });
+  }
+});
+
+// @route   POST /api/webhooks/deliveries/:deliveryId/replay
+// @desc    Re-send a logged delivery
+// @access  Private (Admin)
+router.post('/deliveries/:deliveryId/replay', adminOnly, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    res.json({
+      message: replay.status === 'success' ? 'Delivery replayed successfully' : 'Replay queued for retry',
+      delivery: replay
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ message: 'Server error while replaying delivery' });
+  }
+});
+
+module.exports = router;
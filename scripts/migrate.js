@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// One-off data migrations for documents written by older versions.
+// Each migration is idempotent and safe to re-run.
+//
+//   npm run migrate -- <name>   Run one migration
+//   npm run migrate -- all      Run every migration in order
+//   npm run migrate             List migrations
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Problem = require('../models/Problem');
+const User = require('../models/User');
+const { CONFIRMATION_WINDOW_HOURS } = require('../config/statusWorkflow');
+const { normalizePhone } = require('../utils/phone');
+const { problemImageUrl } = require('../services/imageService');
+
+// Rewrite `images: [String]` into image subdocuments
+const migrateProblemImages = async () => {
+  const cursor = Problem.collection.find({ images: { $type: 'string' } }, { projection: { images: 1, createdAt: 1 } });
+
+  let updated = 0;
+  for await (const problem of cursor) {
+    const images = problem.images.map((image) => (
+      typeof image === 'string'
+        ? { _id: new mongoose.Types.ObjectId(), url: image, uploadedAt: problem.createdAt || new Date() }
+        : image
+    ));
+    await Problem.collection.updateOne({ _id: problem._id }, { $set: { images } });
+    updated += 1;
+  }
+
+  console.log(`problem-images: converted images on ${updated} problem(s)`);
+};
+
+// Point stored images at the access-checked image routes instead of the
+// old public /uploads paths
+const migrateProblemImageUrls = async () => {
+  const cursor = Problem.collection.find(
+    { images: { $elemMatch: { key: { $ne: null }, url: { $not: /^\/api\// } } } },
+    { projection: { images: 1 } }
+  );
+
+  let updated = 0;
+  for await (const problem of cursor) {
+    const images = problem.images.map((image) => {
+      if (!image.key || /^\/api\//.test(image.url)) return image;
+      const url = problemImageUrl(problem._id, image._id);
+      return { ...image, url, thumbnailUrl: image.thumbnailKey ? `${url}/thumbnail` : image.thumbnailUrl };
+    });
+    await Problem.collection.updateOne({ _id: problem._id }, { $set: { images } });
+    updated += 1;
+  }
+
+  console.log(`problem-image-urls: updated image links on ${updated} problem(s)`);
+};
+
+// Store every user's phone in E.164 form. Numbers that would collide with
+// another account, or can't be parsed, are left alone and reported.
+const migrateUserPhones = async () => {
+  const cursor = User.collection.find({ phone: { $not: /^\+\d+$/ } }, { projection: { phone: 1 } });
+
+  let updated = 0;
+  const skipped = [];
+  for await (const user of cursor) {
+    const phone = normalizePhone(user.phone);
+    if (!phone) {
+      skipped.push(`${user._id} (${user.phone}): not a valid number`);
+      continue;
+    }
+
+    const existing = await User.collection.findOne({ phone, _id: { $ne: user._id } }, { projection: { _id: 1 } });
+    if (existing) {
+      skipped.push(`${user._id} (${user.phone}): same number as ${existing._id}`);
+      continue;
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $set: { phone } });
+    updated += 1;
+  }
+
+  console.log(`user-phones: normalized ${updated} phone number(s)`);
+  skipped.forEach((line) => console.warn(`user-phones: skipped ${line}`));
+};
+
+// Give problems resolved before the confirmation window existed a deadline,
+// counted from when they were resolved
+const migrateResolutionConfirmation = async () => {
+  const result = await Problem.collection.updateMany(
+    { status: 'Resolved', confirmationDueAt: null },
+    [{
+      $set: {
+        confirmationDueAt: {
+          $add: [{ $ifNull: ['$resolvedAt', '$updatedAt'] }, CONFIRMATION_WINDOW_HOURS * 60 * 60 * 1000]
+        }
+      }
+    }]
+  );
+
+  console.log(`resolution-confirmation: set a confirmation deadline on ${result.modifiedCount} problem(s)`);
+};
+
+const migrations = {
+  'problem-images': migrateProblemImages,
+  'problem-image-urls': migrateProblemImageUrls,
+  'user-phones': migrateUserPhones,
+  'resolution-confirmation': migrateResolutionConfirmation
+};
+
+const main = async () => {
+  const name = process.argv[2];
+
+  if (!name) {
+    console.log(`Usage: npm run migrate -- <${[...Object.keys(migrations), 'all'].join('|')}>`);
+    return;
+  }
+
+  const selected = name === 'all' ? Object.keys(migrations) : [name];
+  const unknown = selected.filter((migration) => !migrations[migration]);
+  if (unknown.length > 0) {
+    console.error(`Unknown migration: ${unknown.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swatch_village');
+  try {
+    for (const migration of selected) {
+      await migrations[migration]();
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrations };
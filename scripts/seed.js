@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// Database bootstrap and seeding.
+//
+//   npm run seed -- admin                  Create the first super admin (env vars or prompt)
+//   npm run seed -- wards [--file <path>]  Load wards from a JSON or CSV fixture (default fixtures/wards.json)
+//   npm run seed -- reset --yes            Drop the development database
+//   npm run seed -- all [--file <path>]    Load wards, then create the first admin
+//
+// Admin env vars: ADMIN_NAME, ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_PHONE, ADMIN_WARD, ADMIN_ADDRESS
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Ward = require('../models/Ward');
+const { GLOBAL_ROLES } = require('../config/roles');
+const { parseCsv } = require('../utils/csv');
+
+const DEFAULT_WARDS_FILE = path.join(__dirname, '..', 'fixtures', 'wards.json');
+const COMMON_PASSWORDS = ['admin123', 'password', 'password123', '12345678', 'qwerty123', 'changeme', 'swatchvillage'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const flags = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--yes') {
+      flags.yes = true;
+    } else if (rest[i] === '--file') {
+      flags.file = rest[++i];
+    }
+  }
+  return { command, flags };
+};
+
+// Returns a reason the password is too weak, or null
+const passwordWeakness = (password, email) => {
+  if (!password || password.length < 12) return 'must be at least 12 characters';
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) return 'is a commonly used password';
+  if (email && password.toLowerCase().includes(email.split('@')[0].toLowerCase())) return 'must not contain the email name';
+  if (!/[a-z]/i.test(password) || !/\d/.test(password)) return 'must contain letters and numbers';
+  return null;
+};
+
+const prompt = (question, { hidden = false } = {}) => {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    if (hidden) {
+      rl._writeToOutput = (text) => {
+        if (text.includes(question)) rl.output.write(text);
+      };
+    }
+    rl.question(question, (answer) => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+  });
+};
+
+// Read admin details from env vars, prompting for anything missing when interactive
+const readAdminDetails = async () => {
+  const details = {
+    name: process.env.ADMIN_NAME,
+    email: process.env.ADMIN_EMAIL,
+    password: process.env.ADMIN_PASSWORD,
+    phone: process.env.ADMIN_PHONE,
+    wardNumber: process.env.ADMIN_WARD,
+    address: process.env.ADMIN_ADDRESS || 'Panchayat Office'
+  };
+
+  const interactive = process.stdin.isTTY;
+  const missing = ['name', 'email', 'password', 'phone', 'wardNumber'].filter((key) => !details[key]);
+
+  if (missing.length > 0 && !interactive) {
+    throw new Error(`Missing admin details: set ${missing.map((key) => `ADMIN_${key === 'wardNumber' ? 'WARD' : key.toUpperCase()}`).join(', ')}`);
+  }
+
+  if (!details.name) details.name = await prompt('Admin name: ');
+  if (!details.email) details.email = await prompt('Admin email: ');
+  if (!details.phone) details.phone = await prompt('Admin phone: ');
+  if (!details.wardNumber) details.wardNumber = await prompt('Admin ward number: ');
+  if (!details.password) {
+    details.password = await prompt('Admin password: ', { hidden: true });
+    const confirmation = await prompt('Confirm password: ', { hidden: true });
+    if (confirmation !== details.password) {
+      throw new Error('Passwords do not match');
+    }
+  }
+
+  details.wardNumber = parseInt(details.wardNumber);
+  return details;
+};
+
+const createAdmin = async () => {
+  const existingAdmin = await User.findOne({ role: { $in: GLOBAL_ROLES } });
+  if (existingAdmin) {
+    console.log(`An admin already exists (${existingAdmin.email || existingAdmin.phone}). Skipping.`);
+    return;
+  }
+
+  const details = await readAdminDetails();
+
+  const weakness = passwordWeakness(details.password, details.email);
+  if (weakness) {
+    if (isProduction()) {
+      throw new Error(`Refusing to create admin: password ${weakness}`);
+    }
+    console.warn(`Warning: admin password ${weakness}. This would be refused in production.`);
+  }
+
+  const admin = new User({
+    ...details,
+    role: 'super_admin',
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  await admin.save();
+
+  console.log(`Created super admin ${admin.email}`);
+};
+
+const loadWardFixture = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    return parseCsv(content).map((row) => ({
+      wardNumber: parseInt(row.wardNumber),
+      name: row.name,
+      description: row.description,
+      population: row.population ? parseInt(row.population) : 0,
+      area: row.area,
+      representative: {
+        name: row.representativeName,
+        contact: row.representativeContact
+      }
+    }));
+  }
+
+  return JSON.parse(content);
+};
+
+const seedWards = async (file = DEFAULT_WARDS_FILE) => {
+  const wards = loadWardFixture(path.resolve(file));
+
+  let created = 0;
+  for (const data of wards) {
+    const ward = new Ward(data);
+    await ward.validate();
+
+    const result = await Ward.updateOne(
+      { wardNumber: ward.wardNumber },
+      { $setOnInsert: data },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+
+  console.log(`Loaded ${wards.length} ward(s) from ${file}: ${created} created, ${wards.length - created} already present`);
+};
+
+const resetDatabase = async (flags) => {
+  if (isProduction()) {
+    throw new Error('Refusing to reset the database in production');
+  }
+  if (!flags.yes) {
+    throw new Error(`This drops every collection in "${mongoose.connection.name}". Re-run with --yes to confirm.`);
+  }
+
+  await mongoose.connection.dropDatabase();
+  console.log(`Dropped database ${mongoose.connection.name}`);
+};
+
+const commands = {
+  admin: () => createAdmin(),
+  wards: (flags) => seedWards(flags.file),
+  reset: (flags) => resetDatabase(flags),
+  all: async (flags) => {
+    await seedWards(flags.file);
+    await createAdmin();
+  }
+};
+
+const main = async () => {
+  const { command, flags } = parseArgs(process.argv.slice(2));
+  const run = commands[command];
+
+  if (!run) {
+    console.log('Usage: npm run seed -- <admin|wards|reset|all> [--file <path>] [--yes]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swatch_village');
+  try {
+    await run(flags);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Seed failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { passwordWeakness, loadWardFixture };
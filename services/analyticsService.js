@@ -0,0 +1,175 @@
+const Problem = require('../models/Problem');
+const { median, mean, toHours } = require('../utils/stats');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Breakdowns supported by the trend and resolution-time reports
+const GROUP_FIELDS = {
+  ward: '$wardNumber',
+  category: '$category'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default look-back when no `from` is given
+const DEFAULT_SPAN_DAYS = { day: 30, week: 84, month: 365 };
+
+// Refuse ranges that would produce unreasonably long series
+const MAX_BUCKETS = 400;
+
+// Start of the UTC day/week (Monday)/month containing `date`
+const truncateDate = (date, interval) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    d.setUTCDate(1);
+  }
+  return d;
+};
+
+const nextBucket = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+  else if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7);
+  else d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+};
+
+// Every bucket start between two dates, so empty periods appear as zeros
+const listBuckets = (start, end, interval) => {
+  const buckets = [];
+  for (let d = truncateDate(start, interval); d <= end; d = nextBucket(d, interval)) {
+    buckets.push(d);
+    if (buckets.length > MAX_BUCKETS) return null;
+  }
+  return buckets;
+};
+
+// Resolve a parsed date filter into a concrete [start, end] window
+const resolveWindow = (dateFilter, interval) => {
+  let end = new Date();
+  if (dateFilter && dateFilter.$lt) end = new Date(dateFilter.$lt.getTime() - 1);
+  else if (dateFilter && dateFilter.$lte) end = dateFilter.$lte;
+  const start = (dateFilter && dateFilter.$gte) ||
+    new Date(end.getTime() - DEFAULT_SPAN_DAYS[interval] * DAY_MS);
+  return { start, end };
+};
+
+// Count problems per period by the date in `dateField`
+const countByPeriod = (match, dateField, interval, groupBy) => {
+  const truncate = { date: `$${dateField}`, unit: interval };
+  if (interval === 'week') truncate.startOfWeek = 'monday';
+
+  return Problem.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          period: { $dateTrunc: truncate },
+          key: groupBy ? GROUP_FIELDS[groupBy] : null
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+// Problems opened vs resolved per period, optionally split by ward or category.
+// `scope` restricts which problems are counted (see problemScopeQuery).
+const openedResolvedTrend = async ({ scope, filters = {}, interval, groupBy, start, end }) => {
+  const buckets = listBuckets(start, end, interval);
+  if (!buckets) {
+    return { error: `Date range too long for ${interval} interval (max ${MAX_BUCKETS} periods)` };
+  }
+
+  const base = { ...filters, mergedInto: null };
+  const [opened, resolved] = await Promise.all([
+    countByPeriod({ $and: [scope, base, { createdAt: { $gte: start, $lte: end } }] }, 'createdAt', interval, groupBy),
+    countByPeriod({ $and: [scope, base, { resolvedAt: { $gte: start, $lte: end } }] }, 'resolvedAt', interval, groupBy)
+  ]);
+
+  const seriesByKey = new Map();
+  const pointFor = (key, period) => {
+    if (!seriesByKey.has(key)) {
+      seriesByKey.set(key, new Map(buckets.map((b) => [b.getTime(), { period: b, opened: 0, resolved: 0 }])));
+    }
+    return seriesByKey.get(key).get(new Date(period).getTime());
+  };
+
+  if (!groupBy) pointFor(null, buckets[0]);
+  opened.forEach((row) => {
+    const point = pointFor(row._id.key, row._id.period);
+    if (point) point.opened = row.count;
+  });
+  resolved.forEach((row) => {
+    const point = pointFor(row._id.key, row._id.period);
+    if (point) point.resolved = row.count;
+  });
+
+  const series = [...seriesByKey.entries()]
+    .sort(([a], [b]) => (a > b ? 1 : a < b ? -1 : 0))
+    .map(([key, points]) => {
+      const list = [...points.values()];
+      return {
+        key,
+        totalOpened: list.reduce((sum, p) => sum + p.opened, 0),
+        totalResolved: list.reduce((sum, p) => sum + p.resolved, 0),
+        points: list
+      };
+    });
+
+  return { series };
+};
+
+const summarizeDurations = (durations) => ({
+  count: durations.length,
+  meanHours: toHours(mean(durations)),
+  medianHours: toHours(median(durations))
+});
+
+// Group resolution durations by a field and summarize each group
+const summarizeBy = (rows, field) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!groups.has(row[field])) groups.set(row[field], []);
+    groups.get(row[field]).push(row.duration);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a > b ? 1 : a < b ? -1 : 0))
+    .map(([key, durations]) => ({ key, ...summarizeDurations(durations) }));
+};
+
+// Mean and median time to resolution (resolvedAt - createdAt) for problems
+// resolved within [start, end], overall and by ward and category
+const resolutionTimes = async ({ scope, filters = {}, start, end }) => {
+  const rows = await Problem.aggregate([
+    {
+      $match: {
+        $and: [scope, { ...filters, mergedInto: null }, { resolvedAt: { $gte: start, $lte: end } }]
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        wardNumber: 1,
+        category: 1,
+        duration: { $subtract: ['$resolvedAt', '$createdAt'] }
+      }
+    }
+  ]);
+
+  return {
+    overall: summarizeDurations(rows.map((row) => row.duration)),
+    byWard: summarizeBy(rows, 'wardNumber'),
+    byCategory: summarizeBy(rows, 'category')
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  GROUP_FIELDS,
+  resolveWindow,
+  openedResolvedTrend,
+  resolutionTimes
+};
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AssignmentRule = require('../models/AssignmentRule');
+const { ASSIGNABLE_ROLES } = require('../config/roles');
+
+// Check whether a user can be assigned work in a ward
+const canWorkInWard = (user, wardNumber) => {
+  if (!user.isActive || !ASSIGNABLE_ROLES.includes(user.role)) return false;
+  if (user.role === 'ward_officer') {
+    return (user.managedWards || []).includes(wardNumber) || user.wardNumber === wardNumber;
+  }
+  return user.wardNumber === wardNumber;
+};
+
+// Look up and validate an assignee for a problem.
+// Returns { assignee } or { error: { status, message } }.
+const findAssignee = async (assigneeId, problem) => {
+  if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+    return { error: { status: 400, message: 'Invalid assignee id' } };
+  }
+
+  const assignee = await User.findById(assigneeId).select('-password');
+  if (!assignee) {
+    return { error: { status: 404, message: 'Assignee not found' } };
+  }
+
+  if (!ASSIGNABLE_ROLES.includes(assignee.role)) {
+    return { error: { status: 400, message: `Problems can only be assigned to: ${ASSIGNABLE_ROLES.join(', ')}` } };
+  }
+
+  if (!assignee.isActive) {
+    return { error: { status: 400, message: 'Assignee account is deactivated' } };
+  }
+
+  if (!canWorkInWard(assignee, problem.wardNumber)) {
+    return { error: { status: 400, message: `Assignee does not work in ward ${problem.wardNumber}` } };
+  }
+
+  return { assignee };
+};
+
+// Assign a new problem using the ward/category rule table, if a rule applies
+const autoAssign = async (problem) => {
+  const rule = await AssignmentRule.findOne({
+    wardNumber: problem.wardNumber,
+    category: problem.category,
+    isActive: true
+  }).populate('assignee');
+
+  if (!rule || !rule.assignee || !canWorkInWard(rule.assignee, problem.wardNumber)) {
+    return null;
+  }
+
+  await problem.assignTo(rule.assignee._id, null, 'Auto-assigned by ward rule');
+  return rule.assignee;
+};
+
+module.exports = { canWorkInWard, findAssignee, autoAssign };
@@ -0,0 +1,65 @@
+const Problem = require('../models/Problem');
+const { ACTIVE_STATUSES } = require('../config/statusWorkflow');
+const { textSimilarity } = require('../utils/textSimilarity');
+const { distanceMeters } = require('../utils/geo');
+
+const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 30;
+const DUPLICATE_SCORE_THRESHOLD = 0.3;
+const NEARBY_METERS = 200;
+const MAX_SUGGESTIONS = 5;
+
+// Suggest existing active problems that look like the same issue.
+// Candidates share ward and category and were reported within the window;
+// they are ranked by title/description similarity, boosted when nearby.
+// `scope` limits candidates to problems the requesting user can see.
+const findLikelyDuplicates = async ({ wardNumber, category, title, description, geoLocation, excludeId, scope = {} }) => {
+  const since = new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  let query = {
+    wardNumber,
+    category,
+    status: { $in: ACTIVE_STATUSES },
+    mergedInto: null,
+    createdAt: { $gte: since }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const candidates = await Problem.find({ $and: [scope, query] })
+    .select('title description status location geoLocation createdAt wardNumber category')
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+
+  return candidates
+    .map((candidate) => {
+      const titleScore = textSimilarity(title, candidate.title);
+      const descriptionScore = textSimilarity(`${title} ${description}`, `${candidate.title} ${candidate.description}`);
+      let score = Math.max(titleScore, descriptionScore);
+
+      let distance = null;
+      if (geoLocation && geoLocation.coordinates && candidate.geoLocation && candidate.geoLocation.coordinates) {
+        distance = Math.round(distanceMeters(geoLocation, candidate.geoLocation));
+        if (distance <= NEARBY_METERS) {
+          score = Math.min(1, score + 0.25);
+        }
+      }
+
+      return {
+        _id: candidate._id,
+        title: candidate.title,
+        status: candidate.status,
+        location: candidate.location,
+        createdAt: candidate.createdAt,
+        distance,
+        score: Math.round(score * 100) / 100
+      };
+    })
+    .filter((candidate) => candidate.score >= DUPLICATE_SCORE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+module.exports = { findLikelyDuplicates, DUPLICATE_WINDOW_DAYS };
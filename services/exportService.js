@@ -0,0 +1,177 @@
+const Problem = require('../models/Problem');
+const { toCsvRow, CSV_BOM } = require('../utils/csv');
+const { median, mean, toHours } = require('../utils/stats');
+const { canSeeReporter } = require('../middleware/permissions');
+
+const PROBLEM_CSV_COLUMNS = [
+  ['ID', (p) => p._id],
+  ['Title', (p) => p.title],
+  ['Category', (p) => p.category],
+  ['Priority', (p) => p.priority],
+  ['Status', (p) => p.status],
+  ['Ward', (p) => p.wardNumber],
+  ['Location', (p) => p.location],
+  ['Reported By', (p, viewer) => {
+    if (!p.reportedBy) return '';
+    return canSeeReporter(viewer, p) ? p.reportedBy.name : 'Anonymous';
+  }],
+  ['Assigned To', (p) => (p.assignedTo ? p.assignedTo.name : '')],
+  ['Endorsements', (p) => p.endorsementCount || 0],
+  ['SLA Due', (p) => p.estimatedResolutionDate],
+  ['SLA Breached', (p) => (p.slaBreached ? 'Yes' : 'No')],
+  ['Reported At', (p) => p.createdAt],
+  ['Resolved At', (p) => p.resolvedAt],
+  ['Resolution Hours', (p) => (p.resolvedAt ? toHours(new Date(p.resolvedAt) - new Date(p.createdAt)) : '')]
+];
+
+const startCsv = (res, filename) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.write(CSV_BOM);
+};
+
+// Write a chunk, waiting for the socket to drain when its buffer is full.
+// Resolves false once the client has disconnected, since `drain` then never fires.
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+  if (res.destroyed) return resolve(false);
+  if (res.write(chunk)) return resolve(true);
+
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve(true);
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    resolve(false);
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// Write a header row and one row per matching problem, reading from a cursor.
+// Anonymous reporters are hidden unless `viewer` may see them.
+// Returns false if the client disconnected part way.
+const writeProblemRows = async (res, query, viewer) => {
+  if (!(await writeChunk(res, toCsvRow(PROBLEM_CSV_COLUMNS.map(([header]) => header))))) return false;
+
+  const cursor = Problem.find(query)
+    .populate('reportedBy', 'name')
+    .populate('assignedTo', 'name')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor({ batchSize: 200 });
+
+  try {
+    for await (const problem of cursor) {
+      const row = toCsvRow(PROBLEM_CSV_COLUMNS.map(([, value]) => value(problem, viewer)));
+      if (!(await writeChunk(res, row))) return false;
+    }
+  } finally {
+    await cursor.close();
+  }
+  return true;
+};
+
+// Stream problems matching a query as CSV, one document at a time
+const streamProblemsCsv = async (res, query, filename, viewer) => {
+  startCsv(res, filename);
+  await writeProblemRows(res, query, viewer);
+  res.end();
+};
+
+// A ward's problems reported in [start, end), limited to `scope`
+const wardReportQuery = (wardNumber, start, end, scope = {}) => ({
+  $and: [scope, { wardNumber, createdAt: { $gte: start, $lt: end }, mergedInto: null }]
+});
+
+// Summary of a ward's problems reported in [start, end): counts and resolution times
+const wardReportData = async (wardNumber, start, end, scope = {}) => {
+  const match = wardReportQuery(wardNumber, start, end, scope);
+
+  const [byStatus, byCategory, resolved] = await Promise.all([
+    Problem.aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Problem.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          resolved: { $sum: { $cond: [{ $ne: ['$resolvedAt', null] }, 1, 0] } },
+          slaBreached: { $sum: { $cond: ['$slaBreached', 1, 0] } }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]),
+    Problem.aggregate([
+      { $match: { ...match, resolvedAt: { $ne: null } } },
+      { $project: { category: 1, duration: { $subtract: ['$resolvedAt', '$createdAt'] } } }
+    ])
+  ]);
+
+  const durations = resolved.map((row) => row.duration);
+  const durationsByCategory = {};
+  resolved.forEach((row) => {
+    (durationsByCategory[row.category] = durationsByCategory[row.category] || []).push(row.duration);
+  });
+
+  return {
+    total: byStatus.reduce((sum, row) => sum + row.count, 0),
+    byStatus,
+    byCategory: byCategory.map((row) => ({
+      category: row._id,
+      count: row.count,
+      resolved: row.resolved,
+      slaBreached: row.slaBreached,
+      meanResolutionHours: toHours(mean(durationsByCategory[row._id])),
+      medianResolutionHours: toHours(median(durationsByCategory[row._id]))
+    })),
+    resolution: {
+      resolvedCount: durations.length,
+      meanResolutionHours: toHours(mean(durations)),
+      medianResolutionHours: toHours(median(durations))
+    }
+  };
+};
+
+// Write a ward's monthly report as a sectioned CSV, followed by the month's
+// problems. `report` and `scope` should cover the same problems the viewer can see.
+const streamWardReportCsv = async (res, ward, month, range, report, filename, viewer, scope = {}) => {
+  startCsv(res, filename);
+
+  const rows = [
+    ['Ward Report'],
+    ['Ward', ward.wardNumber, ward.name],
+    ['Month', month],
+    ['Total problems', report.total],
+    ['Resolved', report.resolution.resolvedCount],
+    ['Mean resolution hours', report.resolution.meanResolutionHours],
+    ['Median resolution hours', report.resolution.medianResolutionHours],
+    [],
+    ['Status', 'Count'],
+    ...report.byStatus.map((row) => [row._id, row.count]),
+    [],
+    ['Category', 'Count', 'Resolved', 'SLA Breached', 'Mean Resolution Hours', 'Median Resolution Hours'],
+    ...report.byCategory.map((row) => [
+      row.category,
+      row.count,
+      row.resolved,
+      row.slaBreached,
+      row.meanResolutionHours,
+      row.medianResolutionHours
+    ]),
+    []
+  ];
+
+  for (const row of rows) {
+    if (!(await writeChunk(res, toCsvRow(row)))) return;
+  }
+
+  await writeProblemRows(res, wardReportQuery(ward.wardNumber, range.start, range.end, scope), viewer);
+  res.end();
+};
+
+module.exports = { streamProblemsCsv, wardReportData, streamWardReportCsv, PROBLEM_CSV_COLUMNS };
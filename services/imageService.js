@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const THUMBNAIL_WIDTH = 320;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+// Images are served through the problem routes so private problems stay private
+const problemImageUrl = (problemId, imageId) => `/api/problems/${problemId}/images/${imageId}`;
+
+// Store an uploaded image and its thumbnail, returning metadata for Problem.images
+const storeProblemImage = async (problemId, file, uploadedBy) => {
+  const storage = getStorage();
+  const id = crypto.randomBytes(12).toString('hex');
+  const ext = EXTENSIONS[file.mimetype] || 'bin';
+
+  let width, height, normalized, thumbnail;
+  try {
+    const image = sharp(file.buffer).rotate();
+    // Re-encode the original so EXIF data (GPS position, device) is not stored
+    normalized = await image.clone().toBuffer({ resolveWithObject: true });
+    ({ width, height } = normalized.info);
+    thumbnail = await image
+      .clone()
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+  } catch (error) {
+    const invalid = new Error(`Could not process image ${file.originalname}`);
+    invalid.code = 'INVALID_IMAGE';
+    throw invalid;
+  }
+
+  const original = await storage.save(`problems/${problemId}/${id}.${ext}`, normalized.data);
+  const thumb = await storage.save(`problems/${problemId}/${id}_thumb.jpg`, thumbnail);
+
+  const imageId = new mongoose.Types.ObjectId();
+  return {
+    _id: imageId,
+    url: problemImageUrl(problemId, imageId),
+    key: original.key,
+    thumbnailUrl: `${problemImageUrl(problemId, imageId)}/thumbnail`,
+    thumbnailKey: thumb.key,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: normalized.data.length,
+    width,
+    height,
+    uploadedBy,
+    uploadedAt: new Date()
+  };
+};
+
+// Remove stored files for an image entry
+const removeProblemImage = async (image) => {
+  const storage = getStorage();
+  if (image.key) await storage.remove(image.key);
+  if (image.thumbnailKey) await storage.remove(image.thumbnailKey);
+};
+
+// Stream a stored image, or its thumbnail, from storage
+const readProblemImage = (image, { thumbnail = false } = {}) => {
+  return getStorage().read(thumbnail ? image.thumbnailKey : image.key);
+};
+
+module.exports = { problemImageUrl, storeProblemImage, readProblemImage, removeProblemImage };
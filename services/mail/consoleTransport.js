@@ -0,0 +1,13 @@
+// Logs outgoing mail instead of sending it. Default for local development.
+class ConsoleTransport {
+  async send(message) {
+    console.log('--- Outgoing mail ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('---------------------');
+    return { delivered: true };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each outgoing mail as a JSON file, useful for inspecting mail in tests
+class FileTransport {
+  constructor(options = {}) {
+    this.outboxDir = path.resolve(options.outboxDir || process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    await fs.writeFile(
+      path.join(this.outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { delivered: true, file: fileName };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,43 @@
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+
+// Available mail transports. Add SMTP or API-based transports here; each must
+// implement send({ to, subject, text, html }).
+const transports = {
+  console: ConsoleTransport,
+  file: FileTransport
+};
+
+// Transports that never deliver mail; reset and verification links would be lost in production
+const DEVELOPMENT_ONLY = ['console', 'file'];
+
+let transport = null;
+
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const Transport = transports[name];
+    if (!Transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    if (process.env.NODE_ENV === 'production' && DEVELOPMENT_ONLY.includes(name)) {
+      throw new Error(`Refusing to use the "${name}" mail transport in production: set MAIL_TRANSPORT to a real transport`);
+    }
+    transport = new Transport();
+  }
+  return transport;
+};
+
+// Override the active mail transport (e.g. for tests or custom transports)
+const setMailTransport = (adapter) => {
+  transport = adapter;
+};
+
+const sendMail = (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'Swatch Village <no-reply@swatchvillage.com>',
+    ...message
+  });
+};
+
+module.exports = { sendMail, getMailTransport, setMailTransport, transports };
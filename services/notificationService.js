@@ -0,0 +1,77 @@
+const Notification = require('../models/Notification');
+const { userRoom } = require('../socket');
+
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean).map(String))];
+
+const reporterId = (problem) => problem.reportedBy && (problem.reportedBy._id || problem.reportedBy);
+
+// Store a notification for each recipient (except the actor) and push it to
+// any of their connected sockets
+const notify = async (io, recipientIds, { type, problem, actor, message, data = {} }) => {
+  const recipients = uniqueIds(recipientIds).filter((id) => !actor || id !== String(actor));
+  if (recipients.length === 0) return [];
+
+  // Don't name an anonymous reporter as the actor
+  const hideActor = actor && problem && problem.isAnonymous && String(actor) === String(reporterId(problem));
+
+  const notifications = await Notification.insertMany(recipients.map((recipient) => ({
+    recipient,
+    type,
+    problem: problem ? problem._id : null,
+    actor: hideActor ? null : actor || null,
+    message,
+    data
+  })));
+
+  if (io) {
+    notifications.forEach((notification) => {
+      io.to(userRoom(notification.recipient)).emit('notification', notification);
+    });
+  }
+
+  return notifications;
+};
+
+// The reporter and followers of a problem
+const problemWatchers = (problem) => [reporterId(problem), ...(problem.followers || [])];
+
+const notifyStatusChange = (io, problem, actor, previousStatus) => {
+  return notify(io, problemWatchers(problem), {
+    type: 'status_changed',
+    problem,
+    actor,
+    message: `"${problem.title}" changed from ${previousStatus} to ${problem.status}`,
+    data: { from: previousStatus, to: problem.status }
+  });
+};
+
+const notifyComment = (io, problem, comment) => {
+  return notify(io, problemWatchers(problem), {
+    type: 'comment',
+    problem,
+    actor: comment.author._id || comment.author,
+    message: `New comment on "${problem.title}"`,
+    data: { commentId: comment._id }
+  });
+};
+
+const notifyAssignment = (io, problem, assigneeId, actor) => {
+  return Promise.all([
+    notify(io, [assigneeId], {
+      type: 'assigned',
+      problem,
+      actor,
+      message: `You have been assigned "${problem.title}"`,
+      data: { assignee: assigneeId }
+    }),
+    notify(io, problemWatchers(problem).filter((id) => String(id) !== String(assigneeId)), {
+      type: 'assigned',
+      problem,
+      actor,
+      message: `"${problem.title}" has been assigned to a worker`,
+      data: { assignee: assigneeId }
+    })
+  ]);
+};
+
+module.exports = { notify, notifyStatusChange, notifyComment, notifyAssignment };
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const { sendSms } = require('./sms');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+
+const hashCode = (phone, code) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${phone}:${code}`).digest('hex');
+};
+
+// Issue and send a new code. Returns { expiresAt } or { error: { status, message } }.
+const issueOtp = async (phone) => {
+  const now = Date.now();
+  const recent = await Otp.find({
+    phone,
+    createdAt: { $gte: new Date(now - 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 }).select('createdAt');
+
+  if (recent.length > 0 && now - recent[0].createdAt.getTime() < OTP_RESEND_SECONDS * 1000) {
+    return { error: { status: 429, message: `Please wait ${OTP_RESEND_SECONDS} seconds before requesting another code` } };
+  }
+
+  if (recent.length >= OTP_MAX_PER_HOUR) {
+    return { error: { status: 429, message: 'Too many codes requested. Please try again later.' } };
+  }
+
+  // Only the newest code is valid
+  await Otp.updateMany({ phone, consumedAt: null }, { $set: { consumedAt: new Date() } });
+
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  const expiresAt = new Date(now + OTP_TTL_MINUTES * 60 * 1000);
+
+  await Otp.create({ phone, codeHash: hashCode(phone, code), expiresAt });
+  await sendSms({
+    to: phone,
+    body: `Your Swatch Village code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`
+  });
+
+  return { expiresAt };
+};
+
+// Check a code without consuming it. Every check counts towards the attempt limit.
+// Returns { otp } or { error: { status, message } }.
+const checkOtp = async (phone, code) => {
+  const otp = await Otp.findOne({ phone, consumedAt: null }).sort({ createdAt: -1 });
+
+  if (!otp || otp.expiresAt < new Date()) {
+    return { error: { status: 400, message: 'Code is invalid or has expired' } };
+  }
+
+  // Reserve the attempt before comparing, so parallel guesses cannot get past the limit
+  const reserved = await Otp.findOneAndUpdate(
+    { _id: otp._id, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } }
+  );
+  if (!reserved) {
+    return { error: { status: 429, message: 'Too many incorrect attempts. Request a new code.' } };
+  }
+
+  const expected = Buffer.from(otp.codeHash);
+  const actual = Buffer.from(hashCode(phone, String(code)));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: { status: 400, message: 'Code is invalid or has expired' } };
+  }
+
+  return { otp };
+};
+
+// Mark a checked code as used. Returns false if it was used concurrently.
+const consumeOtp = async (otp) => {
+  const result = await Otp.updateOne(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+module.exports = { issueOtp, checkOtp, consumeOtp, OTP_TTL_MINUTES };
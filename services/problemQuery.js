@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const Problem = require('../models/Problem');
+const { STATUSES } = require('../config/statusWorkflow');
+const { PRIORITIES } = require('../config/sla');
+const { parseDateRange } = require('../utils/dateRange');
+const { isGlobalAdmin, redactProblem } = require('../middleware/permissions');
+
+const CATEGORIES = Problem.schema.path('category').enumValues;
+
+// Sort orders for problem lists. `relevance` needs a search term.
+// Each ends with _id so cursor pagination has a stable tiebreaker.
+const SORT_OPTIONS = {
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  updated: { updatedAt: -1, _id: -1 },
+  endorsements: { endorsementCount: -1, createdAt: -1, _id: -1 },
+  due: { estimatedResolutionDate: 1, createdAt: 1, _id: 1 }
+};
+
+// Sort fields stored as dates, so cursor values can be decoded
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt', 'estimatedResolutionDate'];
+
+// Sort fields every problem has, which need no null handling
+const REQUIRED_SORT_FIELDS = ['_id', 'createdAt', 'updatedAt'];
+
+const MAX_SEARCH_LENGTH = 200;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Fields clients may request with `fields=` for lightweight list rows
+const LIST_FIELDS = [
+  'title', 'description', 'category', 'priority', 'status', 'wardNumber',
+  'location', 'geoLocation', 'images', 'reportedBy', 'assignedTo',
+  'endorsementCount', 'estimatedResolutionDate', 'slaBreached',
+  'resolvedAt', 'mergedInto', 'isPublic', 'isAnonymous', 'createdAt', 'updatedAt'
+];
+
+// Build a Mongo filter from list query parameters:
+// q, status, category, priority, wardNumber, reportedBy, assignedTo
+// (a user id or "unassigned"), from/to (reported date) and includeMerged.
+// `viewer` is the requesting user; filtering by someone else's reports
+// leaves out their anonymous ones unless the viewer is an admin.
+// Returns { filters } or { error }.
+const buildProblemFilters = (params, viewer) => {
+  const { q, status, category, priority, wardNumber, reportedBy, assignedTo, from, to, includeMerged } = params;
+  const filters = {};
+
+  if (q !== undefined && q !== '') {
+    if (typeof q !== 'string' || q.trim().length === 0 || q.length > MAX_SEARCH_LENGTH) {
+      return { error: `Search term must be 1-${MAX_SEARCH_LENGTH} characters` };
+    }
+    filters.$text = { $search: q.trim() };
+  }
+
+  if (status) {
+    if (!STATUSES.includes(status)) return { error: 'Invalid status' };
+    filters.status = status;
+  }
+
+  if (category) {
+    if (!CATEGORIES.includes(category)) return { error: 'Invalid category' };
+    filters.category = category;
+  }
+
+  if (priority) {
+    if (!PRIORITIES.includes(priority)) return { error: 'Invalid priority' };
+    filters.priority = priority;
+  }
+
+  if (wardNumber) {
+    const ward = parseInt(wardNumber);
+    if (Number.isNaN(ward)) return { error: 'Invalid ward number' };
+    filters.wardNumber = ward;
+  }
+
+  if (reportedBy) {
+    if (!mongoose.Types.ObjectId.isValid(reportedBy)) return { error: 'Invalid reportedBy' };
+    filters.reportedBy = reportedBy;
+    // Filtering by reporter must not reveal who filed anonymous reports
+    const isOwnOrAdmin = viewer && (isGlobalAdmin(viewer) || String(reportedBy) === String(viewer._id));
+    if (!isOwnOrAdmin) {
+      filters.isAnonymous = { $ne: true };
+    }
+  }
+
+  if (assignedTo) {
+    if (assignedTo === 'unassigned') {
+      filters.assignedTo = null;
+    } else if (mongoose.Types.ObjectId.isValid(assignedTo)) {
+      filters.assignedTo = assignedTo;
+    } else {
+      return { error: 'Invalid assignedTo' };
+    }
+  }
+
+  const { filter: createdAt, error } = parseDateRange({ from, to });
+  if (error) return { error };
+  if (createdAt) filters.createdAt = createdAt;
+
+  // Merged duplicates are hidden unless requested
+  if (includeMerged !== 'true') {
+    filters.mergedInto = null;
+  }
+
+  return { filters };
+};
+
+// Resolve a sort name, defaulting to relevance when searching.
+// Returns { sort, name } or { error }.
+const buildProblemSort = (sortName, isSearch) => {
+  const name = sortName || (isSearch ? 'relevance' : 'newest');
+
+  if (!SORT_OPTIONS[name]) {
+    return { error: `Invalid sort. Allowed: ${Object.keys(SORT_OPTIONS).join(', ')}` };
+  }
+  if (name === 'relevance' && !isSearch) {
+    return { error: 'Sorting by relevance requires a search term (q)' };
+  }
+
+  return { sort: SORT_OPTIONS[name], name };
+};
+
+// Validate page/limit. Returns { page, limit } or { error }.
+const parsePagination = ({ page = 1, limit = DEFAULT_LIMIT }) => {
+  const pageNumber = Number(page);
+  const limitNumber = Number(limit);
+
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limitNumber) || limitNumber < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  return { page: pageNumber, limit: Math.min(limitNumber, MAX_LIMIT) };
+};
+
+// Parse `fields=title,status` into a projection. Sort fields are always
+// included so the next cursor can be built. Returns { projection } or { error }.
+const parseFields = (fields, sort) => {
+  if (!fields) return { projection: null };
+
+  const requested = String(fields).split(',').map((field) => field.trim()).filter(Boolean);
+  const unknown = requested.filter((field) => !LIST_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}. Allowed: ${LIST_FIELDS.join(', ')}` };
+  }
+
+  const projection = {};
+  requested.forEach((field) => {
+    projection[field] = 1;
+  });
+  Object.keys(sort).forEach((field) => {
+    if (field !== 'score' && field !== '_id') projection[field] = 1;
+  });
+  // Needed to decide whether the reporter may be shown
+  projection.isAnonymous = 1;
+  projection.reportedBy = 1;
+
+  return { projection };
+};
+
+// Cursors are opaque to clients: base64url-encoded JSON naming the sort
+// and either the last row's sort values (keyset) or an offset (relevance,
+// whose score cannot be filtered on).
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor, sortName) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || payload.s !== sortName) return null;
+    if (payload.o !== undefined) {
+      return Number.isInteger(payload.o) && payload.o >= 0 ? payload : null;
+    }
+    if (!payload.v || !mongoose.Types.ObjectId.isValid(payload.v._id)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cursorFieldValue = (field, value) => {
+  if (value === null || value === undefined) return null;
+  if (field === '_id') return new mongoose.Types.ObjectId(value);
+  if (DATE_SORT_FIELDS.includes(field)) return new Date(value);
+  return value;
+};
+
+// Condition matching rows strictly after `value` in the given direction.
+// Nulls sort first ascending, so they come last when descending.
+const afterValue = (field, direction, value) => {
+  if (REQUIRED_SORT_FIELDS.includes(field)) {
+    return { [field]: direction === 1 ? { $gt: value } : { $lt: value } };
+  }
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  if (value === null) return null;
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset condition: rows after the cursor position for a multi-field sort
+const keysetQuery = (sort, values) => {
+  const fields = Object.keys(sort).filter((field) => field !== 'score');
+  const branches = [];
+
+  fields.forEach((field, index) => {
+    const after = afterValue(field, sort[field], cursorFieldValue(field, values[field]));
+    if (!after) return;
+    const equalities = {};
+    fields.slice(0, index).forEach((previous) => {
+      equalities[previous] = cursorFieldValue(previous, values[previous]);
+    });
+    branches.push({ ...equalities, ...after });
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+// Build and run a problem list query shared by the list routes.
+// `scope` limits which problems are visible; `params` are the request's
+// query parameters (filters, sort, page/limit or cursor, fields); `viewer`
+// is the requesting user, from whom anonymous reporters are hidden.
+// Pagination is by page (with totals) unless a `cursor` parameter is sent;
+// pass an empty cursor to start cursor pagination from the first row.
+// Returns { body } or { error }.
+const listProblems = async (scope, params, viewer) => {
+  const { filters, error: filterError } = buildProblemFilters(params, viewer);
+  if (filterError) return { error: filterError };
+
+  const isSearch = Boolean(filters.$text);
+  const { sort, name: sortName, error: sortError } = buildProblemSort(params.sort, isSearch);
+  if (sortError) return { error: sortError };
+
+  const { page, limit, error: pageError } = parsePagination(params);
+  if (pageError) return { error: pageError };
+
+  const { projection, error: fieldsError } = parseFields(params.fields, sort);
+  if (fieldsError) return { error: fieldsError };
+
+  const useCursor = params.cursor !== undefined;
+  const conditions = [scope, filters];
+  let offset = (page - 1) * limit;
+
+  if (useCursor) {
+    offset = 0;
+    if (params.cursor) {
+      const cursor = decodeCursor(params.cursor, sortName);
+      if (!cursor) return { error: 'Invalid or expired cursor' };
+      if (cursor.o !== undefined) offset = cursor.o;
+      else conditions.push(keysetQuery(sort, cursor.v));
+    }
+  }
+
+  const query = { $and: conditions };
+
+  let select = projection ? { ...projection } : null;
+  if (isSearch) select = { ...(select || {}), score: { $meta: 'textScore' } };
+
+  let problemsQuery = Problem.find(query);
+  if (select) problemsQuery = problemsQuery.select(select);
+
+  const rows = await problemsQuery
+    .populate('reportedBy', 'name email')
+    .populate('assignedTo', 'name email')
+    .sort(sort)
+    .skip(offset)
+    .limit(limit + 1);
+
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const problems = pageRows.map((problem) => redactProblem(viewer, problem));
+
+  let nextCursor = null;
+  if (hasMore) {
+    if (sortName === 'relevance') {
+      nextCursor = encodeCursor({ s: sortName, o: offset + limit });
+    } else {
+      const last = pageRows[pageRows.length - 1];
+      const values = {};
+      Object.keys(sort).forEach((field) => {
+        if (field !== 'score') values[field] = last.get(field);
+      });
+      nextCursor = encodeCursor({ s: sortName, v: values });
+    }
+  }
+
+  if (useCursor) {
+    return { body: { problems, nextCursor, hasMore, limit } };
+  }
+
+  const total = await Problem.countDocuments({ $and: [scope, filters] });
+
+  return {
+    body: {
+      problems,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+      limit,
+      nextCursor
+    }
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  LIST_FIELDS,
+  MAX_LIMIT,
+  buildProblemFilters,
+  buildProblemSort,
+  parsePagination,
+  listProblems
+};
@@ -0,0 +1,36 @@
+// Minimal in-process job scheduler. Each job runs on a fixed interval and
+// never overlaps with itself.
+const jobs = [];
+const timers = [];
+
+const registerJob = (name, intervalMs, handler) => {
+  jobs.push({ name, intervalMs, handler, running: false });
+};
+
+const runJob = async (job, context) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.handler(context);
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const startScheduler = (context = {}) => {
+  if (process.env.DISABLE_SCHEDULER === 'true') return;
+
+  jobs.forEach((job) => {
+    const timer = setInterval(() => runJob(job, context), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  });
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = { registerJob, startScheduler, stopScheduler, runJob };
@@ -0,0 +1,35 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const { PRIORITIES, DEFAULT_SLA_HOURS, CATEGORY_SLA_HOURS } = require('../config/sla');
+
+// Find the SLA that applies to a category and priority
+const resolvePolicy = async (category, priority) => {
+  const policy = await SlaPolicy.findOne({ category, priority });
+  if (policy) {
+    return {
+      resolutionHours: policy.resolutionHours,
+      escalateOnBreach: policy.escalateOnBreach,
+      source: 'policy'
+    };
+  }
+
+  const categoryDefaults = CATEGORY_SLA_HOURS[category] || {};
+  return {
+    resolutionHours: categoryDefaults[priority] || DEFAULT_SLA_HOURS[priority] || DEFAULT_SLA_HOURS.Medium,
+    escalateOnBreach: true,
+    source: 'default'
+  };
+};
+
+// Compute the SLA due date for a problem reported at `from`
+const computeDueDate = async (category, priority, from = new Date()) => {
+  const { resolutionHours } = await resolvePolicy(category, priority);
+  return new Date(from.getTime() + resolutionHours * 60 * 60 * 1000);
+};
+
+// Next priority level up, or null if already at the highest
+const nextPriority = (priority) => {
+  const index = PRIORITIES.indexOf(priority);
+  return index >= 0 && index < PRIORITIES.length - 1 ? PRIORITIES[index + 1] : null;
+};
+
+module.exports = { resolvePolicy, computeDueDate, nextPriority };
@@ -0,0 +1,36 @@
+const LogTransport = require('./logTransport');
+
+// Available SMS providers. Add gateway adapters here; each must implement
+// send({ to, body }).
+const transports = {
+  log: LogTransport
+};
+
+// Providers that only log messages; OTPs would never reach anyone in production
+const DEVELOPMENT_ONLY = ['log'];
+
+let transport = null;
+
+const getSmsTransport = () => {
+  if (!transport) {
+    const name = process.env.SMS_PROVIDER || 'log';
+    const Transport = transports[name];
+    if (!Transport) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    if (process.env.NODE_ENV === 'production' && DEVELOPMENT_ONLY.includes(name)) {
+      throw new Error(`Refusing to use the "${name}" SMS provider in production: set SMS_PROVIDER to a real gateway`);
+    }
+    transport = new Transport();
+  }
+  return transport;
+};
+
+// Override the active SMS provider (e.g. for tests or custom gateways)
+const setSmsTransport = (adapter) => {
+  transport = adapter;
+};
+
+const sendSms = (message) => getSmsTransport().send(message);
+
+module.exports = { sendSms, getSmsTransport, setSmsTransport, transports };
@@ -0,0 +1,9 @@
+// Logs outgoing SMS instead of sending it. Default for local development.
+class LogTransport {
+  async send(message) {
+    console.log(`[SMS] To: ${message.to} | ${message.body}`);
+    return { delivered: true };
+  }
+}
+
+module.exports = LogTransport;
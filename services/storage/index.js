@@ -0,0 +1,28 @@
+const LocalStorage = require('./localStorage');
+
+// Available storage drivers. Add cloud adapters here; each must implement
+// save(key, buffer) -> { key, url }, read(key) -> readable stream and remove(key).
+const drivers = {
+  local: LocalStorage
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const Driver = drivers[driver];
+    if (!Driver) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = new Driver();
+  }
+  return storage;
+};
+
+// Override the active storage adapter (e.g. for tests or custom drivers)
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = { getStorage, setStorage, drivers };
@@ -0,0 +1,41 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+
+// Stores files on the local disk. Nothing serves the directory directly:
+// files are streamed back through routes that check access.
+class LocalStorage {
+  constructor(options = {}) {
+    this.rootDir = path.resolve(options.rootDir || process.env.UPLOAD_DIR || 'uploads');
+    this.publicPath = options.publicPath || '/uploads';
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: `${this.publicPath}/${key}` };
+  }
+
+  read(key) {
+    return createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a new session for a user and return its token pair
+const issueTokens = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'pending',
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ipAddress: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const revokeSession = (sessionId) => {
+  return Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// Returns { tokens, session } or { error }.
+const rotateRefreshToken = async (refreshToken) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  // A rotated-out token being reused means it was stolen: end the session
+  if (session.previousTokenHash && safeEqual(presentedHash, session.previousTokenHash)) {
+    await revokeSession(session._id);
+    return { error: 'Refresh token reuse detected. Session revoked.' };
+  }
+
+  if (!safeEqual(presentedHash, session.refreshTokenHash) || !session.isActive()) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  // Swap the hash only if it is still the one presented, so two concurrent
+  // refreshes with the same token cannot both succeed
+  const nextRefreshToken = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  // Lost the race: the token was already used, so treat it as reuse
+  if (!rotated) {
+    await revokeSession(session._id);
+    return { error: 'Refresh token reuse detected. Session revoked.' };
+  }
+
+  return {
+    session: rotated,
+    tokens: {
+      token: signAccessToken(rotated.user, rotated._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  };
+};
+
+// Verify an access token and check its session is still live. Returns the decoded payload.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) {
+    throw new Error('Token has no session');
+  }
+
+  const session = await Session.findById(decoded.sid).select('revokedAt expiresAt user');
+  if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+    throw new Error('Session is no longer active');
+  }
+
+  return decoded;
+};
+
+const revokeAllSessions = (userId) => {
+  return Session.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeAllSessions
+};
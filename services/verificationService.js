@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const VerificationToken = require('../models/VerificationToken');
+const { hashToken } = require('./tokenService');
+const { sendMail } = require('./mail');
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48) * 60
+};
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+// Create a new token for a user, invalidating earlier unused ones for the same purpose
+const createToken = async (user, purpose) => {
+  await VerificationToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await VerificationToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+  });
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is invalid, expired or already used
+const consumeToken = (token, purpose) => {
+  return VerificationToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createToken(user, 'password_reset');
+  const link = `${appUrl()}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Swatch Village password',
+    text: `Hello ${user.name},\n\nUse the link below to reset your password. ` +
+      `It expires in ${TOKEN_TTL_MINUTES.password_reset} minutes and can only be used once.\n\n${link}\n\n` +
+      'If you did not ask for this, you can ignore this email.'
+  });
+};
+
+// Accounts created by phone OTP may have no email; there is nothing to verify
+const sendVerificationEmail = async (user) => {
+  if (!user.email) return;
+
+  const token = await createToken(user, 'email_verification');
+  const link = `${appUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Swatch Village email',
+    text: `Hello ${user.name},\n\nPlease confirm your email address by opening the link below.\n\n${link}`
+  });
+};
+
+module.exports = { createToken, consumeToken, sendPasswordResetEmail, sendVerificationEmail };
@@ -0,0 +1,218 @@
+const Ward = require('../models/Ward');
+const WardHistory = require('../models/WardHistory');
+const Problem = require('../models/Problem');
+const User = require('../models/User');
+const AssignmentRule = require('../models/AssignmentRule');
+const { ACTIVE_STATUSES } = require('../config/statusWorkflow');
+const wardStatsCache = require('./wardStatsCache');
+const { inTransaction } = require('../utils/transaction');
+
+// Move problems, residents, officers and assignment rules from one ward
+// number to another. `problemFilter` narrows which problems move.
+const moveWardRecords = async (from, to, session, { problemFilter = {}, moveRules = true } = {}) => {
+  const problems = await Problem.updateMany(
+    { wardNumber: from, ...problemFilter },
+    { $set: { wardNumber: to } },
+    { session }
+  );
+
+  const users = await User.updateMany(
+    { wardNumber: from },
+    { $set: { wardNumber: to } },
+    { session }
+  );
+
+  // $addToSet and $pull can't target the same field in one update
+  await User.updateMany({ managedWards: from }, { $addToSet: { managedWards: to } }, { session });
+  const officers = await User.updateMany({ managedWards: from }, { $pull: { managedWards: from } }, { session });
+
+  // Rules move unless the target already has one for the same category
+  let rulesMoved = 0;
+  if (moveRules) {
+    const targetCategories = await AssignmentRule.distinct('category', { wardNumber: to }).session(session);
+    const rules = await AssignmentRule.updateMany(
+      { wardNumber: from, category: { $nin: targetCategories } },
+      { $set: { wardNumber: to } },
+      { session }
+    );
+    rulesMoved = rules.modifiedCount;
+  }
+  await AssignmentRule.deleteMany({ wardNumber: from }, { session });
+
+  return {
+    problems: problems.modifiedCount,
+    users: users.modifiedCount,
+    officers: officers.modifiedCount,
+    assignmentRules: rulesMoved
+  };
+};
+
+const recordHistory = (session, entry) => WardHistory.create([entry], { session });
+
+// Look up a ward to change. Returns { ward } or { error: { status, message } }.
+const findWard = async (wardNumber, { mustBeActive = true } = {}) => {
+  const ward = await Ward.findOne({ wardNumber });
+  if (!ward) {
+    return { error: { status: 404, message: `Ward ${wardNumber} not found` } };
+  }
+  if (mustBeActive && !ward.isActive) {
+    return { error: { status: 409, message: `Ward ${wardNumber} is not active` } };
+  }
+  return { ward };
+};
+
+// Retire a ward. Residents, officers and active problems must be moved to
+// `transferTo`; resolved and closed problems stay on the retired ward.
+const deactivateWard = async (wardNumber, { transferTo, changedBy, notes }) => {
+  const { ward, error } = await findWard(wardNumber);
+  if (error) return { error };
+
+  if (transferTo === undefined || transferTo === null) {
+    const [residents, activeProblems] = await Promise.all([
+      User.countDocuments({ $or: [{ wardNumber }, { managedWards: wardNumber }] }),
+      Problem.countDocuments({ wardNumber, status: { $in: ACTIVE_STATUSES } })
+    ]);
+    if (residents > 0 || activeProblems > 0) {
+      return {
+        error: {
+          status: 409,
+          message: `Ward has ${residents} users and ${activeProblems} active problems. Provide transferTo to move them.`
+        }
+      };
+    }
+  } else {
+    if (transferTo === wardNumber) {
+      return { error: { status: 400, message: 'Cannot transfer a ward to itself' } };
+    }
+    const { error: targetError } = await findWard(transferTo);
+    if (targetError) return { error: targetError };
+  }
+
+  const migrated = await inTransaction(async (session) => {
+    const counts = transferTo
+      ? await moveWardRecords(wardNumber, transferTo, session, {
+        problemFilter: { status: { $in: ACTIVE_STATUSES } },
+        moveRules: false
+      })
+      : {};
+    await AssignmentRule.deleteMany({ wardNumber }, { session });
+
+    ward.isActive = false;
+    await ward.save({ session });
+
+    await recordHistory(session, {
+      ward: ward._id,
+      action: 'deactivated',
+      wardNumber,
+      relatedWard: transferTo || null,
+      migrated: counts,
+      changedBy,
+      notes
+    });
+    return counts;
+  });
+
+  wardStatsCache.invalidate();
+  return { ward, migrated };
+};
+
+// Bring a retired ward back into service. Merged wards stay retired.
+const activateWard = async (wardNumber, { changedBy, notes }) => {
+  const { ward, error } = await findWard(wardNumber, { mustBeActive: false });
+  if (error) return { error };
+
+  if (ward.isActive) {
+    return { error: { status: 409, message: `Ward ${wardNumber} is already active` } };
+  }
+  if (ward.mergedInto) {
+    return { error: { status: 409, message: `Ward ${wardNumber} was merged into ward ${ward.mergedInto}` } };
+  }
+
+  await inTransaction(async (session) => {
+    ward.isActive = true;
+    await ward.save({ session });
+    await recordHistory(session, { ward: ward._id, action: 'activated', wardNumber, changedBy, notes });
+  });
+
+  wardStatsCache.invalidate();
+  return { ward };
+};
+
+// Fold one ward into another: every problem, user and assignment rule moves
+// to the target and the source ward is retired.
+const mergeWards = async (sourceNumber, targetNumber, { changedBy, notes }) => {
+  if (sourceNumber === targetNumber) {
+    return { error: { status: 400, message: 'Cannot merge a ward into itself' } };
+  }
+
+  const { ward: source, error } = await findWard(sourceNumber);
+  if (error) return { error };
+
+  const { ward: target, error: targetError } = await findWard(targetNumber);
+  if (targetError) return { error: targetError };
+
+  const migrated = await inTransaction(async (session) => {
+    const counts = await moveWardRecords(sourceNumber, targetNumber, session);
+
+    source.isActive = false;
+    source.mergedInto = targetNumber;
+    await source.save({ session });
+
+    // Wards previously merged into the source now point at the target
+    await Ward.updateMany({ mergedInto: sourceNumber }, { $set: { mergedInto: targetNumber } }, { session });
+
+    await recordHistory(session, {
+      ward: source._id,
+      action: 'merged',
+      wardNumber: sourceNumber,
+      relatedWard: targetNumber,
+      migrated: counts,
+      changedBy,
+      notes
+    });
+    return counts;
+  });
+
+  wardStatsCache.invalidate();
+  return { ward: source, target, migrated };
+};
+
+// Give a ward a new number, moving everything that refers to the old one
+const renumberWard = async (wardNumber, newWardNumber, { changedBy, notes }) => {
+  if (wardNumber === newWardNumber) {
+    return { error: { status: 400, message: 'New ward number is the same as the current one' } };
+  }
+
+  const { ward, error } = await findWard(wardNumber, { mustBeActive: false });
+  if (error) return { error };
+
+  const existing = await Ward.findOne({ wardNumber: newWardNumber });
+  if (existing) {
+    return { error: { status: 409, message: `Ward ${newWardNumber} already exists` } };
+  }
+
+  const migrated = await inTransaction(async (session) => {
+    const counts = await moveWardRecords(wardNumber, newWardNumber, session);
+
+    ward.wardNumber = newWardNumber;
+    await ward.save({ session });
+
+    await Ward.updateMany({ mergedInto: wardNumber }, { $set: { mergedInto: newWardNumber } }, { session });
+
+    await recordHistory(session, {
+      ward: ward._id,
+      action: 'renumbered',
+      wardNumber,
+      relatedWard: newWardNumber,
+      migrated: counts,
+      changedBy,
+      notes
+    });
+    return counts;
+  });
+
+  wardStatsCache.invalidate();
+  return { ward, migrated };
+};
+
+module.exports = { deactivateWard, activateWard, mergeWards, renumberWard };
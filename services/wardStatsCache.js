@@ -0,0 +1,14 @@
+const { createTtlCache } = require('../utils/ttlCache');
+
+// Cache for the ward listing's problem counts. Kept free of model imports
+// so the Problem model can invalidate it without a require cycle.
+const WARD_STATS_CACHE_SECONDS = parseInt(process.env.WARD_STATS_CACHE_SECONDS) || 30;
+
+const KEY = 'wards';
+const cache = createTtlCache(WARD_STATS_CACHE_SECONDS * 1000);
+
+module.exports = {
+  get: () => cache.get(KEY),
+  set: (value) => cache.set(KEY, value),
+  invalidate: () => cache.clear()
+};
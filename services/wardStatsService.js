@@ -0,0 +1,47 @@
+const Ward = require('../models/Ward');
+const Problem = require('../models/Problem');
+const { ACTIVE_STATUSES } = require('../config/statusWorkflow');
+const wardStatsCache = require('./wardStatsCache');
+
+// Problem counts for every ward in one aggregation, keyed by ward number.
+// The result is cached and shown to every viewer, so private problems are left out.
+const countProblemsByWard = async () => {
+  const rows = await Problem.aggregate([
+    { $match: { mergedInto: null, isPublic: { $ne: false } } },
+    {
+      $group: {
+        _id: '$wardNumber',
+        totalProblems: { $sum: 1 },
+        activeProblems: {
+          $sum: { $cond: [{ $in: ['$status', ACTIVE_STATUSES] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  return new Map(rows.map((row) => [row._id, row]));
+};
+
+// Active wards with their active and total public problem counts, cached briefly
+const getWardsWithStats = async () => {
+  const cached = wardStatsCache.get();
+  if (cached) return cached;
+
+  const [wards, counts] = await Promise.all([
+    Ward.find({ isActive: true }).sort({ wardNumber: 1 }).lean(),
+    countProblemsByWard()
+  ]);
+
+  const wardsWithStats = wards.map((ward) => {
+    const count = counts.get(ward.wardNumber);
+    return {
+      ...ward,
+      activeProblems: count ? count.activeProblems : 0,
+      totalProblems: count ? count.totalProblems : 0
+    };
+  });
+
+  return wardStatsCache.set(wardsWithStats);
+};
+
+module.exports = { getWardsWithStats };
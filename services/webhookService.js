@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_TIMEOUT_MS
+} = require('../config/webhooks');
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Signature covers "<timestamp>.<body>" so receivers can reject replayed requests
+const sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Public shape of a problem in webhook payloads
+const problemPayload = (problem) => ({
+  id: problem._id,
+  title: problem.title,
+  category: problem.category,
+  status: problem.status,
+  priority: problem.priority,
+  wardNumber: problem.wardNumber,
+  location: problem.location,
+  geoLocation: problem.geoLocation && problem.geoLocation.coordinates ? problem.geoLocation : null,
+  assignedTo: problem.assignedTo ? (problem.assignedTo._id || problem.assignedTo) : null,
+  estimatedResolutionDate: problem.estimatedResolutionDate,
+  isPublic: problem.isPublic !== false,
+  isAnonymous: Boolean(problem.isAnonymous),
+  createdAt: problem.createdAt,
+  updatedAt: problem.updatedAt
+});
+
+// Send one delivery attempt and record the outcome, scheduling a retry on failure
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook is inactive or deleted';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  delivery.attempts += 1;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SwatchVillage-Webhooks/1.0',
+        'X-Village-Event': delivery.event,
+        'X-Village-Delivery': String(delivery._id),
+        'X-Village-Timestamp': String(timestamp),
+        'X-Village-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    delivery.lastResponseStatus = response.status;
+    if (!response.ok) {
+      throw new Error(`Receiver responded with ${response.status}`);
+    }
+
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = null;
+  } catch (error) {
+    delivery.lastError = error.message;
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      // Exponential backoff: 30s, 60s, 120s, ...
+      const delaySeconds = WEBHOOK_RETRY_BASE_SECONDS * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+    }
+  }
+
+  return delivery.save();
+};
+
+// Queue an event for every active subscriber and try delivering right away.
+// Events about private problems are never sent: subscribers are external.
+// Never throws: webhook problems must not break the request that raised the event.
+const dispatchEvent = async (event, data) => {
+  if (data.problem && data.problem.isPublic === false) return;
+
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event }).select('_id');
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      occurredAt: new Date().toISOString(),
+      data
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map((webhook) => ({ webhook: webhook._id, event, payload }))
+    );
+
+    deliveries.forEach((delivery) => {
+      attemptDelivery(delivery).catch((error) => console.error('Webhook delivery error:', error));
+    });
+  } catch (error) {
+    console.error(`Webhook dispatch error for ${event}:`, error);
+  }
+};
+
+// Re-send a logged delivery as a new delivery with the same payload
+const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id
+  });
+  return attemptDelivery(replay);
+};
+
+module.exports = {
+  generateSecret,
+  sign,
+  problemPayload,
+  attemptDelivery,
+  dispatchEvent,
+  replayDelivery
+};
@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const { verifyAccessToken } = require('../services/tokenService');
+const { canViewWard, isGlobalAdmin } = require('../middleware/permissions');
+
+const ADMINS_ROOM = 'admins';
+const wardRoom = (wardNumber) => `ward-${wardNumber}`;
+const userRoom = (userId) => `user-${userId}`;
+
+// Rooms that may hear about a problem: its ward for public problems;
+// admins, the reporter and the assignee for private ones
+const problemRooms = (problem) => {
+  if (problem.isPublic !== false) return [wardRoom(problem.wardNumber)];
+
+  const rooms = [ADMINS_ROOM];
+  [problem.reportedBy, problem.assignedTo].forEach((user) => {
+    if (user) rooms.push(userRoom(user._id || user));
+  });
+  return rooms;
+};
+
+// setTimeout overflows above 2^31 - 1 ms (about 24.8 days) and fires at
+// once, so longer waits are re-armed in steps. Returns a cancel function.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const runAt = (time, callback) => {
+  let timer;
+  const arm = () => {
+    const delay = time - Date.now();
+    timer = delay > MAX_TIMER_DELAY ? setTimeout(arm, MAX_TIMER_DELAY) : setTimeout(callback, Math.max(delay, 0));
+  };
+  arm();
+  return () => clearTimeout(timer);
+};
+
+// Authenticate the handshake with the same access token used for the REST API.
+// Clients pass it as `auth: { token }` or an Authorization header.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const header = socket.handshake.headers.authorization;
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+      (header && header.replace('Bearer ', ''));
+
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    const decoded = await verifyAccessToken(token);
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return next(new Error('Authentication failed'));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = decoded.sid;
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+    next();
+  } catch (error) {
+    next(new Error('Authentication failed'));
+  }
+};
+
+const setupSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    console.log(`User connected: ${socket.id} (${user._id})`);
+
+    // Personal room for notifications, plus the user's own ward
+    socket.join(userRoom(user._id));
+    socket.join(wardRoom(user.wardNumber));
+    if (isGlobalAdmin(user)) {
+      socket.join(ADMINS_ROOM);
+    }
+
+    // The handshake token is only checked once, so drop the socket when it
+    // expires; the client reconnects with a refreshed token.
+    const cancelExpiry = runAt(socket.data.tokenExpiresAt, () => {
+      socket.emit('session-expired');
+      socket.disconnect(true);
+    });
+
+    // Join a ward-specific room, if the user may see that ward
+    socket.on('join-ward', (wardNumber, ack) => {
+      const ward = parseInt(wardNumber);
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      if (!Number.isInteger(ward) || !canViewWard(user, ward)) {
+        return respond({ ok: false, message: 'Access denied' });
+      }
+
+      socket.join(wardRoom(ward));
+      respond({ ok: true, wardNumber: ward });
+    });
+
+    socket.on('leave-ward', (wardNumber) => {
+      socket.leave(wardRoom(parseInt(wardNumber)));
+    });
+
+    // Status changes are only broadcast by the server after a successful
+    // PUT /api/problems/:id/status; clients cannot emit them.
+
+    socket.on('disconnect', () => {
+      cancelExpiry();
+      console.log('User disconnected:', socket.id);
+    });
+  });
+};
+
+// Drop a user's live sockets after their sessions are revoked or their role or
+// ward changes. Clients that still hold a valid session reconnect and pick up
+// the current user record. `sessionId` limits this to one session's sockets,
+// `exceptSessionId` spares one.
+const disconnectUserSockets = async (io, userId, { sessionId, exceptSessionId } = {}) => {
+  if (!io) return;
+
+  const room = io.in(userRoom(userId));
+  if (!sessionId && !exceptSessionId) {
+    room.disconnectSockets(true);
+    return;
+  }
+
+  const sockets = await room.fetchSockets();
+  sockets
+    .filter((socket) => {
+      const sid = String(socket.data.sessionId);
+      return sessionId ? sid === String(sessionId) : sid !== String(exceptSessionId);
+    })
+    .forEach((socket) => socket.disconnect(true));
+};
+
+// Drop every socket in a ward's room, e.g. after the ward is merged, renumbered
+// or retired and its members' rooms no longer match their records
+const disconnectWardSockets = (io, wardNumber) => {
+  if (io) io.in(wardRoom(wardNumber)).disconnectSockets(true);
+};
+
+module.exports = {
+  setupSocket,
+  authenticateSocket,
+  disconnectUserSockets,
+  disconnectWardSockets,
+  wardRoom,
+  userRoom,
+  problemRooms,
+  ADMINS_ROOM
+};
@@ -0,0 +1,41 @@
+const { TRANSITIONS, canTransition, requiresReason, validateTransition } = require('../../config/statusWorkflow');
+
+describe('validateTransition', () => {
+  it('allows every transition in the workflow', () => {
+    Object.entries(TRANSITIONS).forEach(([from, targets]) => {
+      targets.forEach((to) => {
+        expect(validateTransition(from, to, 'because')).toBeNull();
+      });
+    });
+  });
+
+  it('rejects transitions outside the workflow with a 409 listing the allowed ones', () => {
+    expect(validateTransition('Open', 'Resolved')).toEqual({
+      status: 409,
+      message: 'Cannot change status from Open to Resolved. Allowed: In Progress'
+    });
+  });
+
+  it('reports "none" for terminal statuses', () => {
+    expect(validateTransition('Closed', 'Open').message).toMatch(/Allowed: none$/);
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(validateTransition('Pending', 'Open').status).toBe(409);
+  });
+
+  it('requires a non-blank reason to reopen a resolved problem', () => {
+    expect(validateTransition('Resolved', 'Reopened').status).toBe(400);
+    expect(validateTransition('Resolved', 'Reopened', '   ').status).toBe(400);
+    expect(validateTransition('Resolved', 'Reopened', 'Still leaking')).toBeNull();
+  });
+});
+
+describe('canTransition and requiresReason', () => {
+  it('follow the TRANSITIONS and REASON_REQUIRED tables', () => {
+    expect(canTransition('In Progress', 'Resolved')).toBe(true);
+    expect(canTransition('Resolved', 'In Progress')).toBe(false);
+    expect(requiresReason('Resolved', 'Reopened')).toBe(true);
+    expect(requiresReason('Resolved', 'Closed')).toBe(false);
+  });
+});
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const {
+  hasPermission,
+  getVisibleWards,
+  canViewProblem,
+  canManageProblem,
+  canUpdateProblemStatus,
+  canSeeReporter,
+  redactProblem,
+  problemScopeQuery
+} = require('../../middleware/permissions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const resident = { _id: id(), role: 'user', wardNumber: 1 };
+const otherResident = { _id: id(), role: 'user', wardNumber: 2 };
+const officer = { _id: id(), role: 'ward_officer', wardNumber: 3, managedWards: [1, 4] };
+const fieldWorker = { _id: id(), role: 'field_worker', wardNumber: 1 };
+const admin = { _id: id(), role: 'admin', wardNumber: 9 };
+
+const problem = (fields = {}) => ({ _id: id(), wardNumber: 1, reportedBy: resident._id, assignedTo: null, ...fields });
+
+describe('hasPermission', () => {
+  it('grants permissions by role', () => {
+    expect(hasPermission(officer, 'problems:manage')).toBe(true);
+    expect(hasPermission(fieldWorker, 'problems:manage')).toBe(false);
+    expect(hasPermission(fieldWorker, 'problems:update_status')).toBe(true);
+    expect(hasPermission(resident, 'problems:update_status')).toBe(false);
+    expect(hasPermission({ role: 'unknown' }, 'problems:manage')).toBe(false);
+  });
+});
+
+describe('getVisibleWards', () => {
+  it('covers the home ward plus managed wards, or every ward for admins', () => {
+    expect(getVisibleWards(resident)).toEqual([1]);
+    expect(getVisibleWards(officer)).toEqual([3, 1, 4]);
+    expect(getVisibleWards(admin)).toBeNull();
+  });
+});
+
+describe('canViewProblem', () => {
+  it('limits problems to users who can see the ward', () => {
+    expect(canViewProblem(otherResident, problem())).toBe(false);
+    expect(canViewProblem(officer, problem())).toBe(true);
+    expect(canViewProblem(admin, problem())).toBe(true);
+  });
+
+  it('always lets the reporter and the assignee see the problem', () => {
+    expect(canViewProblem(resident, problem({ wardNumber: 7 }))).toBe(true);
+    expect(canViewProblem(fieldWorker, problem({ wardNumber: 7, assignedTo: fieldWorker._id }))).toBe(true);
+  });
+});
+
+describe('canManageProblem', () => {
+  it('needs the manage permission within a managed ward', () => {
+    expect(canManageProblem(officer, problem())).toBe(true);
+    expect(canManageProblem(officer, problem({ wardNumber: 3 }))).toBe(false);
+    expect(canManageProblem(admin, problem({ wardNumber: 3 }))).toBe(true);
+    expect(canManageProblem(resident, problem())).toBe(false);
+  });
+});
+
+describe('canUpdateProblemStatus', () => {
+  it('limits field workers to problems assigned to them', () => {
+    expect(canUpdateProblemStatus(fieldWorker, problem())).toBe(false);
+    expect(canUpdateProblemStatus(fieldWorker, problem({ assignedTo: fieldWorker._id }))).toBe(true);
+    expect(canUpdateProblemStatus(officer, problem())).toBe(true);
+    expect(canUpdateProblemStatus(resident, problem())).toBe(false);
+  });
+});
+
+describe('problemScopeQuery', () => {
+  it('does not restrict admins', () => {
+    expect(problemScopeQuery(admin)).toEqual({});
+  });
+
+  it('limits ward-wide visibility to public problems', () => {
+    expect(problemScopeQuery(resident)).toEqual({
+      $or: [
+        { wardNumber: { $in: [1] }, isPublic: { $ne: false } },
+        { assignedTo: resident._id },
+        { reportedBy: resident._id }
+      ]
+    });
+  });
+
+  it('limits other users to their visible wards and their own problems', () => {
+    const { $or: branches } = problemScopeQuery(officer);
+    expect(branches[0].wardNumber).toEqual({ $in: [3, 1, 4] });
+    expect(branches).toContainEqual({ assignedTo: officer._id });
+    expect(branches).toContainEqual({ reportedBy: officer._id });
+  });
+});
+
+describe('private problems', () => {
+  const privateProblem = (fields = {}) => problem({ isPublic: false, ...fields });
+
+  it('are visible only to the reporter, the assignee and admins', () => {
+    expect(canViewProblem(resident, privateProblem())).toBe(true);
+    expect(canViewProblem(fieldWorker, privateProblem({ assignedTo: fieldWorker._id }))).toBe(true);
+    expect(canViewProblem(admin, privateProblem())).toBe(true);
+    expect(canViewProblem(officer, privateProblem())).toBe(false);
+    expect(canViewProblem({ ...resident, _id: id() }, privateProblem())).toBe(false);
+  });
+
+  it('are managed by admins only', () => {
+    expect(canManageProblem(officer, privateProblem())).toBe(false);
+    expect(canManageProblem(admin, privateProblem())).toBe(true);
+  });
+
+  it('can only be updated by their assignee below admin level', () => {
+    expect(canUpdateProblemStatus(officer, privateProblem())).toBe(false);
+    expect(canUpdateProblemStatus(officer, privateProblem({ assignedTo: officer._id }))).toBe(true);
+  });
+});
+
+describe('redactProblem', () => {
+  const uploader = id();
+  const anonymous = (fields = {}) => problem({
+    isAnonymous: true,
+    followers: [resident._id],
+    images: [
+      { url: '/a', uploadedBy: resident._id },
+      { url: '/b', uploadedBy: uploader }
+    ],
+    ...fields
+  });
+
+  it('leaves problems alone for users who may see the reporter', () => {
+    const anonymousProblem = anonymous();
+    expect(redactProblem(resident, anonymousProblem)).toBe(anonymousProblem);
+    expect(redactProblem(admin, anonymousProblem)).toBe(anonymousProblem);
+
+    const named = problem();
+    expect(canSeeReporter(otherResident, named)).toBe(true);
+    expect(redactProblem(otherResident, named)).toBe(named);
+  });
+
+  it('hides the reporter, their uploads and the followers from everyone else', () => {
+    const redacted = redactProblem(officer, anonymous());
+
+    expect(redacted.reportedBy).toBeNull();
+    expect(redacted).not.toHaveProperty('followers');
+    expect(redacted.images).toEqual([
+      { url: '/a', uploadedBy: null },
+      { url: '/b', uploadedBy: uploader }
+    ]);
+  });
+
+  it('hides every uploader when the reporter is not known', () => {
+    const redacted = redactProblem(officer, anonymous({ reportedBy: undefined }));
+    expect(redacted.images.map((image) => image.uploadedBy)).toEqual([null, null]);
+  });
+
+  it('redacts populated reporters and documents', () => {
+    const document = {
+      ...anonymous({ reportedBy: { _id: resident._id, name: 'Ravi' } }),
+      toJSON() {
+        const { toJSON, ...plain } = this;
+        return plain;
+      }
+    };
+
+    const redacted = redactProblem(officer, document);
+    expect(redacted.reportedBy).toBeNull();
+    expect(redacted.images[0].uploadedBy).toBeNull();
+    expect(redacted).not.toHaveProperty('toJSON');
+  });
+});
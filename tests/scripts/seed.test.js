@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { passwordWeakness, loadWardFixture } = require('../../scripts/seed');
+
+describe('passwordWeakness', () => {
+  it('accepts long passwords with letters and numbers', () => {
+    expect(passwordWeakness('village-office-2024', 'admin@example.com')).toBeNull();
+  });
+
+  it('explains why a password is too weak', () => {
+    expect(passwordWeakness('short1', 'admin@example.com')).toBe('must be at least 12 characters');
+    expect(passwordWeakness('password123', null)).toBe('must be at least 12 characters');
+    expect(passwordWeakness('swatchvillage', null)).toBe('is a commonly used password');
+    expect(passwordWeakness('panchayat-admin-2024', 'panchayat@example.com')).toBe('must not contain the email name');
+    expect(passwordWeakness('only-letters-here', null)).toBe('must contain letters and numbers');
+  });
+});
+
+describe('loadWardFixture', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wards-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('maps CSV columns onto ward fields', () => {
+    const file = path.join(dir, 'wards.csv');
+    fs.writeFileSync(file, 'wardNumber,name,description,population,area,representativeName,representativeContact\n3,"East, Lower",,1200,2 sq km,Asha,+919800000000\n');
+
+    expect(loadWardFixture(file)).toEqual([{
+      wardNumber: 3,
+      name: 'East, Lower',
+      description: '',
+      population: 1200,
+      area: '2 sq km',
+      representative: { name: 'Asha', contact: '+919800000000' }
+    }]);
+  });
+
+  it('reads JSON fixtures as they are', () => {
+    const file = path.join(dir, 'wards.json');
+    fs.writeFileSync(file, JSON.stringify([{ wardNumber: 1, name: 'North' }]));
+
+    expect(loadWardFixture(file)).toEqual([{ wardNumber: 1, name: 'North' }]);
+  });
+});
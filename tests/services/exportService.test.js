@@ -0,0 +1,96 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Problem = require('../../models/Problem');
+const { streamProblemsCsv } = require('../../services/exportService');
+
+const viewer = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+// Minimal response whose buffer is full right after the `capacity`-th write
+const mockResponse = (capacity = Infinity) => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.headers = {};
+  res.destroyed = false;
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.write = jest.fn((chunk) => {
+    res.chunks.push(chunk);
+    return res.chunks.length !== capacity;
+  });
+  res.end = jest.fn();
+  return res;
+};
+
+const mockCursor = (rows) => {
+  const cursor = {
+    close: jest.fn().mockResolvedValue(),
+    async *[Symbol.asyncIterator]() {
+      yield* rows;
+    }
+  };
+  const chain = {
+    populate: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    cursor: () => cursor
+  };
+  jest.spyOn(Problem, 'find').mockReturnValue(chain);
+  return cursor;
+};
+
+const row = (title) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  status: 'Open',
+  wardNumber: 1,
+  reportedBy: { name: 'Ravi' },
+  createdAt: new Date('2024-01-01T00:00:00Z')
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('streamProblemsCsv', () => {
+  it('writes a BOM, a header row and one row per problem', async () => {
+    const cursor = mockCursor([row('Pothole'), row('Leak, main road')]);
+    const res = mockResponse();
+
+    await streamProblemsCsv(res, {}, 'problems.csv', viewer);
+
+    expect(res.headers['Content-Disposition']).toBe('attachment; filename="problems.csv"');
+    expect(res.chunks[0]).toBe('\uFEFF');
+    expect(res.chunks[1]).toMatch(/^ID,Title,Category/);
+    expect(res.chunks[3]).toContain('"Leak, main road"');
+    expect(res.chunks).toHaveLength(4);
+    expect(res.end).toHaveBeenCalled();
+    expect(cursor.close).toHaveBeenCalled();
+  });
+
+  it('waits for drain before writing more rows', async () => {
+    mockCursor([row('First'), row('Second')]);
+    const res = mockResponse(2);
+
+    const done = streamProblemsCsv(res, {}, 'problems.csv', viewer);
+    await new Promise(setImmediate);
+    expect(res.chunks).toHaveLength(2);
+
+    res.emit('drain');
+    await done;
+    expect(res.chunks).toHaveLength(4);
+  });
+
+  it('stops and closes the cursor when the client disconnects mid-export', async () => {
+    const cursor = mockCursor([row('First'), row('Second'), row('Third')]);
+    const res = mockResponse(3);
+
+    const done = streamProblemsCsv(res, {}, 'problems.csv', viewer);
+    await new Promise(setImmediate);
+
+    res.destroyed = true;
+    res.emit('close');
+    await done;
+
+    expect(res.chunks).toHaveLength(3);
+    expect(cursor.close).toHaveBeenCalled();
+  });
+});
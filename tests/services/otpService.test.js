@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+jest.mock('../../models/Otp');
+jest.mock('../../services/sms', () => ({ sendSms: jest.fn() }));
+
+const Otp = require('../../models/Otp');
+const { checkOtp, consumeOtp } = require('../../services/otpService');
+
+const PHONE = '+919876543210';
+
+const codeHash = (code) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${PHONE}:${code}`).digest('hex');
+
+const storedOtp = (overrides = {}) => ({
+  _id: 'otp-1',
+  phone: PHONE,
+  codeHash: codeHash('123456'),
+  attempts: 0,
+  expiresAt: new Date(Date.now() + 60 * 1000),
+  ...overrides
+});
+
+const mockLatestOtp = (otp) => {
+  Otp.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(otp) });
+};
+
+beforeAll(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('checkOtp', () => {
+  it('accepts the right code and uses up an attempt', async () => {
+    const otp = storedOtp();
+    mockLatestOtp(otp);
+    Otp.findOneAndUpdate.mockResolvedValue(otp);
+
+    await expect(checkOtp(PHONE, '123456')).resolves.toEqual({ otp });
+    expect(Otp.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'otp-1', attempts: { $lt: 5 } },
+      { $inc: { attempts: 1 } }
+    );
+  });
+
+  it('rejects a wrong code after reserving the attempt', async () => {
+    const otp = storedOtp();
+    mockLatestOtp(otp);
+    Otp.findOneAndUpdate.mockResolvedValue(otp);
+
+    const { error } = await checkOtp(PHONE, '654321');
+    expect(error.status).toBe(400);
+    expect(Otp.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to compare once no attempts are left, even for the right code', async () => {
+    mockLatestOtp(storedOtp({ attempts: 4 }));
+    // Another request took the last attempt in the meantime
+    Otp.findOneAndUpdate.mockResolvedValue(null);
+
+    const { error } = await checkOtp(PHONE, '123456');
+    expect(error.status).toBe(429);
+  });
+
+  it('rejects missing and expired codes without counting an attempt', async () => {
+    mockLatestOtp(null);
+    expect((await checkOtp(PHONE, '123456')).error.status).toBe(400);
+
+    mockLatestOtp(storedOtp({ expiresAt: new Date(Date.now() - 1000) }));
+    expect((await checkOtp(PHONE, '123456')).error.status).toBe(400);
+
+    expect(Otp.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('consumeOtp', () => {
+  it('only succeeds for the request that marks the code used', async () => {
+    Otp.updateOne.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(consumeOtp({ _id: 'otp-1' })).resolves.toBe(true);
+    await expect(consumeOtp({ _id: 'otp-1' })).resolves.toBe(false);
+    expect(Otp.updateOne).toHaveBeenCalledWith(
+      { _id: 'otp-1', consumedAt: null },
+      { $set: { consumedAt: expect.any(Date) } }
+    );
+  });
+});
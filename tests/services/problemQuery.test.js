@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Problem = require('../../models/Problem');
+const {
+  SORT_OPTIONS,
+  MAX_LIMIT,
+  buildProblemFilters,
+  buildProblemSort,
+  parsePagination,
+  listProblems
+} = require('../../services/problemQuery');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+describe('buildProblemFilters', () => {
+  it('hides merged duplicates by default', () => {
+    expect(buildProblemFilters({})).toEqual({ filters: { mergedInto: null } });
+    expect(buildProblemFilters({ includeMerged: 'true' })).toEqual({ filters: {} });
+  });
+
+  it('builds filters from valid parameters', () => {
+    const { filters } = buildProblemFilters({
+      q: '  pothole ',
+      status: 'Open',
+      priority: 'High',
+      wardNumber: '7',
+      reportedBy: userId,
+      assignedTo: 'unassigned',
+      from: '2024-01-01',
+      to: '2024-01-31'
+    }, { _id: userId, role: 'user' });
+
+    expect(filters).toEqual({
+      $text: { $search: 'pothole' },
+      status: 'Open',
+      priority: 'High',
+      wardNumber: 7,
+      reportedBy: userId,
+      assignedTo: null,
+      createdAt: { $gte: new Date('2024-01-01T00:00:00Z'), $lt: new Date('2024-02-01T00:00:00Z') },
+      mergedInto: null
+    });
+  });
+
+  it('leaves out anonymous reports when filtering by another user', () => {
+    const officer = { _id: new mongoose.Types.ObjectId().toString(), role: 'ward_officer', managedWards: [1] };
+    expect(buildProblemFilters({ reportedBy: userId }, officer).filters.isAnonymous).toEqual({ $ne: true });
+    expect(buildProblemFilters({ reportedBy: userId }).filters.isAnonymous).toEqual({ $ne: true });
+  });
+
+  it('keeps anonymous reports for the reporter themselves and for admins', () => {
+    expect(buildProblemFilters({ reportedBy: userId }, { _id: userId, role: 'user' }).filters).not.toHaveProperty('isAnonymous');
+    expect(buildProblemFilters({ reportedBy: userId }, { _id: 'admin', role: 'admin' }).filters).not.toHaveProperty('isAnonymous');
+  });
+
+  it('rejects invalid values', () => {
+    expect(buildProblemFilters({ status: 'Pending' })).toEqual({ error: 'Invalid status' });
+    expect(buildProblemFilters({ category: 'Nonsense' })).toEqual({ error: 'Invalid category' });
+    expect(buildProblemFilters({ priority: 'Urgent' })).toEqual({ error: 'Invalid priority' });
+    expect(buildProblemFilters({ wardNumber: 'north' })).toEqual({ error: 'Invalid ward number' });
+    expect(buildProblemFilters({ reportedBy: 'me' })).toEqual({ error: 'Invalid reportedBy' });
+    expect(buildProblemFilters({ assignedTo: 'nobody' })).toEqual({ error: 'Invalid assignedTo' });
+    expect(buildProblemFilters({ from: 'soon' })).toEqual({ error: 'Invalid "from" date' });
+  });
+
+  it('rejects blank, non-string and overlong search terms', () => {
+    expect(buildProblemFilters({ q: '   ' }).error).toMatch(/Search term/);
+    expect(buildProblemFilters({ q: ['a', 'b'] }).error).toMatch(/Search term/);
+    expect(buildProblemFilters({ q: 'x'.repeat(201) }).error).toMatch(/Search term/);
+  });
+});
+
+describe('buildProblemSort', () => {
+  it('defaults to newest, or relevance when searching', () => {
+    expect(buildProblemSort(undefined, false)).toEqual({ sort: SORT_OPTIONS.newest, name: 'newest' });
+    expect(buildProblemSort(undefined, true)).toEqual({ sort: SORT_OPTIONS.relevance, name: 'relevance' });
+  });
+
+  it('rejects unknown sorts and relevance without a search', () => {
+    expect(buildProblemSort('random', false).error).toMatch(/^Invalid sort/);
+    expect(buildProblemSort('relevance', false).error).toMatch(/requires a search term/);
+  });
+
+  it('ends every sort with an _id tiebreaker', () => {
+    Object.values(SORT_OPTIONS).forEach((sort) => {
+      expect(Object.keys(sort).pop()).toBe('_id');
+    });
+  });
+});
+
+describe('parsePagination', () => {
+  it('defaults and caps the limit', () => {
+    expect(parsePagination({})).toEqual({ page: 1, limit: 10 });
+    expect(parsePagination({ page: '3', limit: '1000' })).toEqual({ page: 3, limit: MAX_LIMIT });
+  });
+
+  it('rejects non-positive or fractional values', () => {
+    expect(parsePagination({ page: '0' }).error).toMatch(/page/);
+    expect(parsePagination({ limit: '2.5' }).error).toMatch(/limit/);
+    expect(parsePagination({ limit: 'ten' }).error).toMatch(/limit/);
+  });
+});
+
+describe('listProblems', () => {
+  const viewer = { _id: new mongoose.Types.ObjectId(), role: 'user', wardNumber: 1 };
+  const scope = { wardNumber: 1 };
+  let query;
+
+  // Problem.find chain that records its calls and resolves to `rows`
+  const mockFind = (rows) => {
+    query = {};
+    const chain = {
+      select: jest.fn((select) => { query.select = select; return chain; }),
+      populate: jest.fn(() => chain),
+      sort: jest.fn((sort) => { query.sort = sort; return chain; }),
+      skip: jest.fn((skip) => { query.skip = skip; return chain; }),
+      limit: jest.fn(async (limit) => { query.limit = limit; return rows; })
+    };
+    jest.spyOn(Problem, 'find').mockImplementation((filter) => {
+      query.filter = filter;
+      return chain;
+    });
+  };
+
+  const problemRow = (fields = {}) => Problem.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Broken streetlight',
+    wardNumber: 1,
+    reportedBy: viewer._id,
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Problem, 'countDocuments').mockResolvedValue(25);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pages with an offset and totals when no cursor is sent', async () => {
+    mockFind([problemRow()]);
+
+    const { body } = await listProblems(scope, { page: '3', limit: '10', status: 'Open' }, viewer);
+
+    expect(query.filter).toEqual({ $and: [scope, { status: 'Open', mergedInto: null }] });
+    expect(query.sort).toBe(SORT_OPTIONS.newest);
+    expect(query.skip).toBe(20);
+    expect(query.limit).toBe(11);
+    expect(body).toMatchObject({ totalPages: 3, currentPage: 3, total: 25, limit: 10, nextCursor: null });
+    expect(body.problems).toHaveLength(1);
+  });
+
+  it('returns a cursor that continues after the last row', async () => {
+    const rows = [problemRow(), problemRow(), problemRow()];
+    mockFind(rows);
+
+    const first = await listProblems(scope, { cursor: '', limit: '2' }, viewer);
+    expect(first.body).toMatchObject({ hasMore: true, limit: 2 });
+    expect(first.body.problems).toHaveLength(2);
+    expect(Problem.countDocuments).not.toHaveBeenCalled();
+
+    mockFind([]);
+    await listProblems(scope, { cursor: first.body.nextCursor, limit: '2' }, viewer);
+
+    const last = rows[1];
+    expect(query.skip).toBe(0);
+    expect(query.filter.$and[2]).toEqual({
+      $or: [
+        { createdAt: { $lt: last.createdAt } },
+        { createdAt: last.createdAt, _id: { $lt: last._id } }
+      ]
+    });
+  });
+
+  it('keeps rows with no due date in order when sorting by due date', async () => {
+    const rows = [problemRow({ estimatedResolutionDate: null }), problemRow()];
+    mockFind(rows);
+
+    const first = await listProblems(scope, { cursor: '', limit: '1', sort: 'due' }, viewer);
+
+    mockFind([]);
+    await listProblems(scope, { cursor: first.body.nextCursor, limit: '1', sort: 'due' }, viewer);
+
+    const last = rows[0];
+    expect(query.filter.$and[2].$or).toEqual([
+      { estimatedResolutionDate: { $ne: null } },
+      { estimatedResolutionDate: null, createdAt: { $gt: last.createdAt } },
+      { estimatedResolutionDate: null, createdAt: last.createdAt, _id: { $gt: last._id } }
+    ]);
+  });
+
+  it('pages relevance results by offset', async () => {
+    mockFind([problemRow(), problemRow()]);
+    const first = await listProblems(scope, { q: 'streetlight', cursor: '', limit: '1' }, viewer);
+
+    mockFind([]);
+    await listProblems(scope, { q: 'streetlight', cursor: first.body.nextCursor, limit: '1' }, viewer);
+
+    expect(query.skip).toBe(1);
+    expect(query.filter.$and).toHaveLength(2);
+  });
+
+  it('rejects cursors from another sort and malformed cursors', async () => {
+    mockFind([problemRow(), problemRow()]);
+    const { body } = await listProblems(scope, { cursor: '', limit: '1' }, viewer);
+
+    await expect(listProblems(scope, { cursor: body.nextCursor, sort: 'oldest' }, viewer))
+      .resolves.toEqual({ error: 'Invalid or expired cursor' });
+    await expect(listProblems(scope, { cursor: 'not-a-cursor' }, viewer))
+      .resolves.toEqual({ error: 'Invalid or expired cursor' });
+  });
+
+  it('projects requested fields plus sort and reporter fields', async () => {
+    mockFind([]);
+
+    await listProblems(scope, { fields: 'title,images', sort: 'endorsements' }, viewer);
+
+    expect(query.select).toEqual({
+      title: 1,
+      images: 1,
+      endorsementCount: 1,
+      createdAt: 1,
+      isAnonymous: 1,
+      reportedBy: 1
+    });
+  });
+
+  it('rejects unknown fields and invalid pagination', async () => {
+    await expect(listProblems(scope, { fields: 'title,password' }, viewer))
+      .resolves.toEqual({ error: expect.stringMatching(/^Unknown fields: password\./) });
+    await expect(listProblems(scope, { limit: 'abc' }, viewer))
+      .resolves.toEqual({ error: 'limit must be a positive integer' });
+  });
+
+  it('hides who filed anonymous reports from other viewers', async () => {
+    const reporter = new mongoose.Types.ObjectId();
+    mockFind([problemRow({ reportedBy: reporter, isAnonymous: true })]);
+
+    const { body } = await listProblems(scope, { reportedBy: String(reporter) }, viewer);
+
+    expect(query.filter.$and[1].isAnonymous).toEqual({ $ne: true });
+    expect(body.problems[0].reportedBy).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Session');
+
+const Session = require('../../models/Session');
+const { hashToken, rotateRefreshToken, verifyAccessToken } = require('../../services/tokenService');
+
+const sessionId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const refreshToken = `${sessionId}.current-secret`;
+const previousToken = `${sessionId}.previous-secret`;
+
+const storedSession = (fields = {}) => {
+  const session = {
+    _id: sessionId,
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    previousTokenHash: hashToken(previousToken),
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  };
+  session.isActive = () => !session.revokedAt && session.expiresAt > new Date();
+  return session;
+};
+
+const expectRevoked = () => {
+  expect(Session.updateOne).toHaveBeenCalledWith(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: expect.any(Date) } }
+  );
+};
+
+beforeAll(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Session.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('rotateRefreshToken', () => {
+  it('swaps the refresh token only if it is still the current one', async () => {
+    Session.findById.mockResolvedValue(storedSession());
+    Session.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...storedSession(), ...update.$set }));
+
+    const { tokens, session, error } = await rotateRefreshToken(refreshToken);
+
+    expect(error).toBeUndefined();
+    expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: sessionId, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      {
+        $set: {
+          previousTokenHash: hashToken(refreshToken),
+          refreshTokenHash: hashToken(tokens.refreshToken),
+          lastUsedAt: expect.any(Date),
+          expiresAt: expect.any(Date)
+        }
+      },
+      { new: true }
+    );
+    expect(tokens.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+    expect(tokens.refreshToken).not.toBe(refreshToken);
+    expect(jwt.verify(tokens.token, process.env.JWT_SECRET)).toMatchObject({
+      userId: String(userId),
+      sid: String(sessionId)
+    });
+    expect(session.refreshTokenHash).toBe(hashToken(tokens.refreshToken));
+  });
+
+  it('treats losing a concurrent rotation as reuse and revokes the session', async () => {
+    Session.findById.mockResolvedValue(storedSession());
+    Session.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(rotateRefreshToken(refreshToken)).resolves.toEqual({
+      error: 'Refresh token reuse detected. Session revoked.'
+    });
+    expectRevoked();
+  });
+
+  it('revokes the session when a rotated-out token is presented', async () => {
+    Session.findById.mockResolvedValue(storedSession());
+
+    await expect(rotateRefreshToken(previousToken)).resolves.toEqual({
+      error: 'Refresh token reuse detected. Session revoked.'
+    });
+    expectRevoked();
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown, revoked, expired and malformed tokens without rotating', async () => {
+    const invalid = { error: 'Invalid refresh token' };
+
+    await expect(rotateRefreshToken('not-a-token')).resolves.toEqual(invalid);
+    expect(Session.findById).not.toHaveBeenCalled();
+
+    Session.findById.mockResolvedValue(null);
+    await expect(rotateRefreshToken(refreshToken)).resolves.toEqual(invalid);
+
+    Session.findById.mockResolvedValue(storedSession());
+    await expect(rotateRefreshToken(`${sessionId}.guessed-secret`)).resolves.toEqual(invalid);
+
+    Session.findById.mockResolvedValue(storedSession({ revokedAt: new Date() }));
+    await expect(rotateRefreshToken(refreshToken)).resolves.toEqual(invalid);
+
+    Session.findById.mockResolvedValue(storedSession({ expiresAt: new Date(Date.now() - 1000) }));
+    await expect(rotateRefreshToken(refreshToken)).resolves.toEqual(invalid);
+
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Session.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyAccessToken', () => {
+  const accessToken = (payload) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '5m' });
+  const mockSessionLookup = (session) => {
+    Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(session) });
+  };
+
+  it('accepts a token whose session is live and belongs to the user', async () => {
+    mockSessionLookup(storedSession());
+
+    await expect(verifyAccessToken(accessToken({ userId, sid: sessionId })))
+      .resolves.toMatchObject({ sid: String(sessionId) });
+  });
+
+  it('rejects tokens whose session was revoked or belongs to someone else', async () => {
+    mockSessionLookup(storedSession({ revokedAt: new Date() }));
+    await expect(verifyAccessToken(accessToken({ userId, sid: sessionId }))).rejects.toThrow('Session is no longer active');
+
+    mockSessionLookup(storedSession({ user: new mongoose.Types.ObjectId() }));
+    await expect(verifyAccessToken(accessToken({ userId, sid: sessionId }))).rejects.toThrow('Session is no longer active');
+  });
+
+  it('rejects tokens without a session id', async () => {
+    await expect(verifyAccessToken(accessToken({ userId }))).rejects.toThrow('Token has no session');
+  });
+});
@@ -0,0 +1,35 @@
+jest.mock('../../models/Webhook');
+jest.mock('../../models/WebhookDelivery');
+
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { problemPayload, dispatchEvent } = require('../../services/webhookService');
+
+const problem = (fields = {}) => ({
+  _id: 'p1',
+  title: 'Overflowing drain',
+  wardNumber: 2,
+  location: 'Temple street',
+  isPublic: true,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Webhook.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+});
+
+describe('dispatchEvent', () => {
+  it('never looks up subscribers for private problems', async () => {
+    await dispatchEvent('problem.created', { problem: problemPayload(problem({ isPublic: false })) });
+
+    expect(Webhook.find).not.toHaveBeenCalled();
+    expect(WebhookDelivery.insertMany).not.toHaveBeenCalled();
+  });
+
+  it('queues public problem events for subscribers of that event', async () => {
+    await dispatchEvent('problem.created', { problem: problemPayload(problem()) });
+
+    expect(Webhook.find).toHaveBeenCalledWith({ isActive: true, events: 'problem.created' });
+  });
+});
@@ -0,0 +1,62 @@
+const { parseCsv, csvEscape, toCsvRow } = require('../../utils/csv');
+
+describe('parseCsv', () => {
+  it('maps rows to objects keyed by the trimmed header', () => {
+    expect(parseCsv(' wardNumber , name\n1, North \n2,South\n')).toEqual([
+      { wardNumber: '1', name: 'North' },
+      { wardNumber: '2', name: 'South' }
+    ]);
+  });
+
+  it('handles quoted fields with commas, escaped quotes and newlines', () => {
+    const text = 'name,description\r\n"Ward, North","Says ""hi""\nthere"\r\n';
+    expect(parseCsv(text)).toEqual([{ name: 'Ward, North', description: 'Says "hi"\nthere' }]);
+  });
+
+  it('skips blank lines and fills missing values with empty strings', () => {
+    expect(parseCsv('a,b\n\n1\n')).toEqual([{ a: '1', b: '' }]);
+  });
+
+  it('returns an empty array for empty input', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+describe('csvEscape', () => {
+  it('leaves plain values alone and blanks null or undefined', () => {
+    expect(csvEscape('plain')).toBe('plain');
+    expect(csvEscape(42)).toBe('42');
+    expect(csvEscape(-3)).toBe('-3');
+    expect(csvEscape(null)).toBe('');
+    expect(csvEscape(undefined)).toBe('');
+  });
+
+  it('writes dates as ISO strings', () => {
+    expect(csvEscape(new Date('2024-03-01T00:00:00Z'))).toBe('2024-03-01T00:00:00.000Z');
+  });
+
+  it('quotes values containing commas, quotes or newlines', () => {
+    expect(csvEscape('a,b')).toBe('"a,b"');
+    expect(csvEscape('say "hi"')).toBe('"say ""hi"""');
+    expect(csvEscape('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('neutralises values that would run as spreadsheet formulas', () => {
+    expect(csvEscape('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(csvEscape('+1')).toBe("'+1");
+    expect(csvEscape('-1')).toBe("'-1");
+    expect(csvEscape('@cmd')).toBe("'@cmd");
+    expect(csvEscape('=1,2')).toBe('"\'=1,2"');
+  });
+});
+
+describe('toCsvRow', () => {
+  it('joins escaped values and ends with CRLF', () => {
+    expect(toCsvRow(['a', 'b,c', null, 1])).toBe('a,"b,c",,1\r\n');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const text = toCsvRow(['name', 'notes']) + toCsvRow(['North', 'has "quotes", commas']);
+    expect(parseCsv(text)).toEqual([{ name: 'North', notes: 'has "quotes", commas' }]);
+  });
+});
@@ -0,0 +1,52 @@
+const { parseDateRange, parseMonth } = require('../../utils/dateRange');
+
+describe('parseDateRange', () => {
+  it('returns a null filter when no range is given', () => {
+    expect(parseDateRange({})).toEqual({ filter: null });
+  });
+
+  it('includes the whole day when `to` is a bare date', () => {
+    const { filter } = parseDateRange({ from: '2024-01-01', to: '2024-01-31' });
+    expect(filter.$gte).toEqual(new Date('2024-01-01T00:00:00Z'));
+    expect(filter.$lt).toEqual(new Date('2024-02-01T00:00:00Z'));
+    expect(filter.$lte).toBeUndefined();
+  });
+
+  it('uses an inclusive bound when `to` has a time', () => {
+    const { filter } = parseDateRange({ to: '2024-01-31T12:00:00Z' });
+    expect(filter).toEqual({ $lte: new Date('2024-01-31T12:00:00Z') });
+  });
+
+  it('rejects invalid dates', () => {
+    expect(parseDateRange({ from: 'yesterday' })).toEqual({ error: 'Invalid "from" date' });
+    expect(parseDateRange({ to: 'not-a-date' })).toEqual({ error: 'Invalid "to" date' });
+  });
+
+  it('rejects ranges that end before they start', () => {
+    expect(parseDateRange({ from: '2024-02-01', to: '2024-01-01' })).toEqual({ error: '"from" must be before "to"' });
+  });
+
+  it('allows a single-day range', () => {
+    expect(parseDateRange({ from: '2024-01-01', to: '2024-01-01' }).error).toBeUndefined();
+  });
+});
+
+describe('parseMonth', () => {
+  it('returns the UTC start and exclusive end of the month', () => {
+    expect(parseMonth('2024-02')).toEqual({
+      start: new Date('2024-02-01T00:00:00Z'),
+      end: new Date('2024-03-01T00:00:00Z')
+    });
+  });
+
+  it('rolls December over into the next year', () => {
+    expect(parseMonth('2023-12').end).toEqual(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  it('returns null for malformed or out-of-range months', () => {
+    expect(parseMonth('2024-13')).toBeNull();
+    expect(parseMonth('2024-00')).toBeNull();
+    expect(parseMonth('2024-1')).toBeNull();
+    expect(parseMonth(undefined)).toBeNull();
+  });
+});
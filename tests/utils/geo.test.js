@@ -0,0 +1,60 @@
+const { toPoint, isValidLatLng, isValidPolygon, distanceMeters } = require('../../utils/geo');
+
+const square = [[77.0, 12.0], [77.1, 12.0], [77.1, 12.1], [77.0, 12.1], [77.0, 12.0]];
+
+describe('toPoint', () => {
+  it('builds a GeoJSON point with longitude first', () => {
+    expect(toPoint('12.5', '77.25')).toEqual({ type: 'Point', coordinates: [77.25, 12.5] });
+  });
+});
+
+describe('isValidLatLng', () => {
+  it('accepts coordinates within range, including the edges', () => {
+    expect(isValidLatLng(12.97, 77.59)).toBe(true);
+    expect(isValidLatLng('-90', '180')).toBe(true);
+  });
+
+  it('rejects out-of-range or non-numeric coordinates', () => {
+    expect(isValidLatLng(91, 0)).toBe(false);
+    expect(isValidLatLng(0, -181)).toBe(false);
+    expect(isValidLatLng('north', 0)).toBe(false);
+    expect(isValidLatLng(undefined, 0)).toBe(false);
+  });
+});
+
+describe('isValidPolygon', () => {
+  it('accepts closed Polygon and MultiPolygon rings', () => {
+    expect(isValidPolygon({ type: 'Polygon', coordinates: [square] })).toBe(true);
+    expect(isValidPolygon({ type: 'MultiPolygon', coordinates: [[square], [square]] })).toBe(true);
+  });
+
+  it('rejects open rings, short rings and bad coordinates', () => {
+    expect(isValidPolygon({ type: 'Polygon', coordinates: [square.slice(0, 4)] })).toBe(false);
+    expect(isValidPolygon({ type: 'Polygon', coordinates: [[[77, 12], [77.1, 12], [77, 12]]] })).toBe(false);
+    expect(isValidPolygon({ type: 'Polygon', coordinates: [[[200, 12], [77.1, 12], [77.1, 12.1], [200, 12]]] })).toBe(false);
+  });
+
+  it('rejects other geometry types and empty input', () => {
+    expect(isValidPolygon({ type: 'Point', coordinates: [77, 12] })).toBe(false);
+    expect(isValidPolygon({ type: 'Polygon', coordinates: [] })).toBe(false);
+    expect(isValidPolygon(null)).toBe(false);
+  });
+});
+
+describe('distanceMeters', () => {
+  it('is zero for the same point', () => {
+    expect(distanceMeters(toPoint(12, 77), toPoint(12, 77))).toBe(0);
+  });
+
+  it('measures about 111 km per degree of latitude', () => {
+    const distance = distanceMeters(toPoint(0, 0), toPoint(1, 0));
+    expect(distance).toBeGreaterThan(111000);
+    expect(distance).toBeLessThan(111500);
+  });
+
+  it('is symmetric', () => {
+    const a = toPoint(12.97, 77.59);
+    const b = toPoint(13.08, 80.27);
+    expect(distanceMeters(a, b)).toBeCloseTo(distanceMeters(b, a), 6);
+  });
+});
@@ -0,0 +1,38 @@
+const { tokenize, jaccard, textSimilarity } = require('../../utils/textSimilarity');
+
+describe('tokenize', () => {
+  it('lowercases, strips punctuation and drops short and stop words', () => {
+    expect([...tokenize('The DRAIN near the school is blocked!')]).toEqual(['drain', 'school', 'blocked']);
+  });
+
+  it('returns an empty set for missing text', () => {
+    expect(tokenize().size).toBe(0);
+  });
+});
+
+describe('jaccard', () => {
+  it('divides shared tokens by all distinct tokens', () => {
+    expect(jaccard(new Set(['a', 'b', 'c']), new Set(['b', 'c', 'd']))).toBe(0.5);
+  });
+
+  it('is zero when either set is empty', () => {
+    expect(jaccard(new Set(), new Set(['a']))).toBe(0);
+    expect(jaccard(new Set(['a']), new Set())).toBe(0);
+  });
+});
+
+describe('textSimilarity', () => {
+  it('is 1 for texts with the same meaningful words', () => {
+    expect(textSimilarity('Broken streetlight on Main road', 'main road: streetlight broken')).toBe(1);
+  });
+
+  it('is 0 for unrelated texts', () => {
+    expect(textSimilarity('Garbage not collected', 'Water pipe leaking')).toBe(0);
+  });
+
+  it('scores partial overlap between 0 and 1', () => {
+    const score = textSimilarity('Garbage pile outside temple', 'Garbage pile near market');
+    expect(score).toBeGreaterThan(0);
+    expect(score).toBeLessThan(1);
+  });
+});
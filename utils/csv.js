@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV parsing and writing.
+
+// Parse CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((r) => r.some((value) => value.trim() !== ''));
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim());
+  return records.map((record) => {
+    const item = {};
+    keys.forEach((key, index) => {
+      item[key] = record[index] !== undefined ? record[index].trim() : '';
+    });
+    return item;
+  });
+};
+
+// Byte order mark so Excel opens UTF-8 files correctly
+const CSV_BOM = '\uFEFF';
+
+// Quote a single value. Values that spreadsheet apps would run as formulas are prefixed with '.
+const csvEscape = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(csvEscape).join(',')}\r\n`;
+
+module.exports = { parseCsv, csvEscape, toCsvRow, CSV_BOM };
@@ -0,0 +1,46 @@
+// Parse `from`/`to` query parameters into a Mongo date filter.
+// `to` given as a bare date (YYYY-MM-DD) includes that whole day.
+// Returns { filter } (null when no range is given) or { error }.
+const parseDateRange = ({ from, to }) => {
+  if (!from && !to) return { filter: null };
+
+  const filter = {};
+
+  if (from) {
+    const start = new Date(from);
+    if (Number.isNaN(start.getTime())) return { error: 'Invalid "from" date' };
+    filter.$gte = start;
+  }
+
+  if (to) {
+    const end = new Date(to);
+    if (Number.isNaN(end.getTime())) return { error: 'Invalid "to" date' };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      filter.$lt = end;
+    } else {
+      filter.$lte = end;
+    }
+  }
+
+  if (filter.$gte && (filter.$lt || filter.$lte) < filter.$gte) {
+    return { error: '"from" must be before "to"' };
+  }
+
+  return { filter };
+};
+
+// Start and end (exclusive) of a calendar month given as YYYY-MM, in UTC
+const parseMonth = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match) return null;
+  const year = parseInt(match[1]);
+  const monthIndex = parseInt(match[2]) - 1;
+  if (monthIndex < 0 || monthIndex > 11) return null;
+  return {
+    start: new Date(Date.UTC(year, monthIndex, 1)),
+    end: new Date(Date.UTC(year, monthIndex + 1, 1))
+  };
+};
+
+module.exports = { parseDateRange, parseMonth };
@@ -0,0 +1,51 @@
+// GeoJSON helpers. Note GeoJSON coordinates are [longitude, latitude].
+const EARTH_RADIUS_METERS = 6378100;
+
+const toPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [parseFloat(lng), parseFloat(lat)]
+});
+
+const isValidLatLng = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+};
+
+const isValidRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4) return false;
+  const valid = ring.every((point) => Array.isArray(point) && point.length >= 2 && isValidLatLng(point[1], point[0]));
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return valid && first[0] === last[0] && first[1] === last[1];
+};
+
+// Validate a GeoJSON Polygon or MultiPolygon geometry
+const isValidPolygon = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') return false;
+  if (geometry.type === 'Polygon') {
+    return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isValidRing);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 &&
+      geometry.coordinates.every((polygon) => Array.isArray(polygon) && polygon.length > 0 && polygon.every(isValidRing));
+  }
+  return false;
+};
+
+// Great-circle distance in meters between two GeoJSON points
+const distanceMeters = (a, b) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+module.exports = { EARTH_RADIUS_METERS, toPoint, isValidLatLng, isValidPolygon, distanceMeters };
@@ -0,0 +1,39 @@
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '91';
+
+// Normalize a phone number to E.164 form, e.g. "98765 43210" -> "+919876543210".
+// Returns null if the number does not look valid.
+const normalizePhone = (phone) => {
+  if (phone === undefined || phone === null) return null;
+  const raw = String(phone).trim();
+  let digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  digits = digits.replace(/^0+/, '');
+  if (digits.length === 10) {
+    return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  }
+  if (digits.length > 10 && digits.length <= 15) {
+    return `+${digits}`;
+  }
+  return null;
+};
+
+// Forms a number may have been stored in before phones were normalized,
+// e.g. "+919876543210" -> ["+919876543210", "919876543210", "9876543210", "09876543210"].
+const phoneVariants = (phone) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return [];
+
+  const digits = normalized.slice(1);
+  const variants = [normalized, digits];
+  if (digits.startsWith(DEFAULT_COUNTRY_CODE) && digits.length - DEFAULT_COUNTRY_CODE.length === 10) {
+    const national = digits.slice(DEFAULT_COUNTRY_CODE.length);
+    variants.push(national, `0${national}`);
+  }
+  return variants;
+};
+
+module.exports = { normalizePhone, phoneVariants };
@@ -0,0 +1,19 @@
+// Median of a list of numbers, or null for an empty list
+const median = (values) => {
+  if (!values || values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const mean = (values) => {
+  if (!values || values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Round milliseconds to hours with one decimal place
+const toHours = (ms) => (ms === null || ms === undefined ? null : Math.round((ms / MS_PER_HOUR) * 10) / 10);
+
+module.exports = { median, mean, toHours, MS_PER_HOUR };
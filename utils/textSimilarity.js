@@ -0,0 +1,29 @@
+// Lightweight text similarity used for duplicate detection.
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'not', 'near',
+  'this', 'that', 'with', 'from', 'our', 'there', 'since', 'been', 'very', 'please'
+]);
+
+const tokenize = (text = '') => {
+  return new Set(
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+  );
+};
+
+// Jaccard similarity of two token sets, between 0 and 1
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+const textSimilarity = (first, second) => jaccard(tokenize(first), tokenize(second));
+
+module.exports = { tokenize, jaccard, textSimilarity };
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Run `work(session)` in a transaction. Needs MongoDB running as a replica set.
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { inTransaction };
@@ -0,0 +1,31 @@
+// Minimal in-memory cache whose entries expire after a fixed time
+const createTtlCache = (ttlMs) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+};
+
+module.exports = { createTtlCache };